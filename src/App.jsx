@@ -1,124 +1,487 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import ListenSpell from './components/ListenSpell';
 import FillBlank from './components/FillBlank';
 import LetterPuzzle from './components/LetterPuzzle';
-import k8Words from './data/k8-s1.json';
-import libraries from './data/libraries.json';
-import { selectRandomWords, calculateStats } from './utils/wordHelpers';
-import { saveToHistory, getHistory, formatDate, clearHistory } from './utils/storageHelper';
+import MeaningQuiz, { QUIZ_DIRECTIONS } from './components/MeaningQuiz';
+import SentenceDictation, { DICTATION_TARGETS } from './components/SentenceDictation';
+import SpeakingPractice from './components/SpeakingPractice';
+import ImportModal from './components/ImportModal';
+import LibraryEditor from './components/LibraryEditor';
+import BackupModal from './components/BackupModal';
+import ProfileModal from './components/ProfileModal';
+import SettingsModal from './components/SettingsModal';
+import ProgressDashboard from './components/ProgressDashboard';
+import MasteryMap from './components/MasteryMap';
+import AbandonSessionModal from './components/AbandonSessionModal';
+import useWordLibrary from './hooks/useWordLibrary';
+import { getLibraryManifest } from './utils/libraryLoader';
+import { deleteCustomLibrary } from './utils/customLibraries';
+import { getActiveProfile } from './utils/profiles';
+import {
+  selectRandomWords,
+  selectWordsByMix,
+  calculateDifficultyStats,
+  getUnitCounts,
+  filterWordsByScope,
+  sentenceContainsWord,
+  DIFFICULTY_LEVELS
+} from './utils/wordHelpers';
+import {
+  saveToHistory,
+  getHistory,
+  formatDate,
+  clearHistory,
+  getWordScope,
+  saveWordScope,
+  getPreferences,
+  savePreferences,
+  getActiveSession,
+  saveActiveSession,
+  clearActiveSession
+} from './utils/storageHelper';
+import { recordReviewResults, getReviewSummary, selectDueWords } from './utils/reviewScheduler';
+import { recordWordResults, getMostMissedWords, clearWordRecords } from './utils/wordRecords';
+import { ERROR_TYPES } from './utils/grading';
+import { getSessionStats, getSessionResults } from './utils/sessionLog';
+import {
+  recordMistakes,
+  getMistakes,
+  removeMistake,
+  clearMistakes,
+  selectMistakeWords,
+  GRADUATION_STREAK
+} from './utils/mistakeNotebook';
 import './App.css';
 
-// Word libraries map
-const WORD_LIBRARIES = {
-  'k8': k8Words
-};
-
 const MODES = {
   MENU: 'menu',
   LISTEN_SPELL: 'listen-spell',
   FILL_BLANK: 'fill-blank',
   LETTER_PUZZLE: 'letter-puzzle',
-  RESULTS: 'results'
+  MEANING_TO_WORD: QUIZ_DIRECTIONS.MEANING_TO_WORD,
+  WORD_TO_MEANING: QUIZ_DIRECTIONS.WORD_TO_MEANING,
+  DICTATE_SENTENCE: DICTATION_TARGETS.SENTENCE,
+  DICTATE_WORD: DICTATION_TARGETS.WORD,
+  SPEAKING: 'speaking',
+  RESULTS: 'results',
+  EDITOR: 'editor',
+  MASTERY: 'mastery'
 };
 
 const MODE_NAMES = {
   [MODES.LISTEN_SPELL]: '听写拼写',
   [MODES.FILL_BLANK]: '句子填空',
-  [MODES.LETTER_PUZZLE]: '字母填空'
+  [MODES.LETTER_PUZZLE]: '字母填空',
+  [MODES.MEANING_TO_WORD]: '中译英',
+  [MODES.WORD_TO_MEANING]: '英译中',
+  [MODES.DICTATE_SENTENCE]: '句子听写（整句）',
+  [MODES.DICTATE_WORD]: '句子听写（填词）',
+  [MODES.SPEAKING]: '口语跟读'
+};
+
+// 出题方式
+const WORD_SOURCES = {
+  RANDOM: 'random',
+  REVIEW: 'review',
+  MISTAKES: 'mistakes',
+  SELECTED: 'selected' // 在掌握情况里选中的单词
+};
+
+const EMPTY_SOURCE_MESSAGES = {
+  [WORD_SOURCES.RANDOM]: '所选范围内没有单词',
+  [WORD_SOURCES.REVIEW]: '今天没有需要复习的单词',
+  [WORD_SOURCES.MISTAKES]: '错题本里还没有单词',
+  [WORD_SOURCES.SELECTED]: '选中的单词都不能用于这个模式'
 };
 
 function App() {
   const [currentMode, setCurrentMode] = useState(MODES.MENU);
   const [currentModeName, setCurrentModeName] = useState('');
-  const [currentLibrary, setCurrentLibrary] = useState('k8');
+  const [libraries, setLibraries] = useState(getLibraryManifest);
+  // 有未完成的练习时打开它所在的词库，以便继续
+  const [currentLibrary, setCurrentLibrary] = useState(() => {
+    const manifest = getLibraryManifest();
+    const active = getActiveSession();
+    return active && manifest.some(lib => lib.id === active.library) ? active.library : manifest[0].id;
+  });
+  const [activeSession, setActiveSession] = useState(getActiveSession);
+  const [showAbandonModal, setShowAbandonModal] = useState(false);
   const [selectedWords, setSelectedWords] = useState([]);
   const [results, setResults] = useState([]);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [showMistakesModal, setShowMistakesModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showBackupModal, setShowBackupModal] = useState(false);
+  const [showProfileModal, setShowProfileModal] = useState(false);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [preferences, setPreferences] = useState(getPreferences);
+  // 考试模式：{minutes}，普通练习时为 null
+  const [exam, setExam] = useState(null);
+  const {
+    words: wordsData,
+    status: libraryStatus,
+    error: libraryError,
+    reload: reloadLibrary
+  } = useWordLibrary(currentLibrary);
+
+  const startMode = (mode, count, { source = WORD_SOURCES.RANDOM, scope, exam: examMode = false, picked } = {}) => {
+    if (libraryStatus !== 'ready') return;
+
+    let pool = source === WORD_SOURCES.SELECTED ? picked : filterWordsByScope(wordsData, scope);
+    // 句子听写只用例句中确实出现该单词的词条
+    if (mode === MODES.DICTATE_SENTENCE || mode === MODES.DICTATE_WORD) {
+      pool = pool.filter(w => sentenceContainsWord(w.exampleSentence, w));
+    }
+    let words;
+    switch (source) {
+      case WORD_SOURCES.REVIEW:
+        words = selectDueWords(pool, currentLibrary, count);
+        break;
+      case WORD_SOURCES.MISTAKES:
+        words = selectMistakeWords(pool, currentLibrary, count);
+        break;
+      case WORD_SOURCES.SELECTED:
+        words = selectRandomWords(pool, pool.length);
+        break;
+      default:
+        words = scope && scope.mixEnabled
+          ? selectWordsByMix(pool, count, scope.mix)
+          : selectRandomWords(pool, count);
+    }
+
+    if (words.length === 0) {
+      window.alert(EMPTY_SOURCE_MESSAGES[source]);
+      return;
+    }
+
+    // 只保存一个未完成的练习，开始新练习前先确认放弃暂停的那个（它可能在别的词库里）
+    const paused = getActiveSession();
+    if (paused && paused.state) {
+      const pausedLibrary = libraries.find(lib => lib.id === paused.library);
+      const where = pausedLibrary ? `「${pausedLibrary.name}」的` : '';
+      if (!window.confirm(`还有一个没做完的${where}${paused.modeName}练习，开始新的练习会放弃它，确定吗？`)) {
+        return;
+      }
+    }
+
+    const sessionExam = examMode ? { minutes: preferences.examMinutes } : null;
+    // 记下本次练习，刷新页面或中途离开后可以继续
+    saveActiveSession({ mode, modeName: MODE_NAMES[mode], library: currentLibrary, words, exam: sessionExam });
 
-  const startMode = (mode, count) => {
-    const wordsData = WORD_LIBRARIES[currentLibrary];
-    const words = selectRandomWords(wordsData, count);
     setSelectedWords(words);
+    setExam(sessionExam);
     setCurrentMode(mode);
     setCurrentModeName(MODE_NAMES[mode]);
     setResults([]);
   };
 
-  const handleComplete = (gameResults) => {
+  const resumeSession = () => {
+    const session = getActiveSession();
+    if (!session || libraryStatus !== 'ready') return;
+
+    setSelectedWords(session.words);
+    setExam(session.exam);
+    setCurrentMode(session.mode);
+    setCurrentModeName(session.modeName);
+    setResults([]);
+  };
+
+  const discardSession = () => {
+    if (window.confirm('确定要放弃上次没做完的练习吗？')) {
+      clearActiveSession();
+      setActiveSession(null);
+    }
+  };
+
+  /**
+   * Finish the session: show the results and record them
+   * @param {Array} gameResults - Results of the session
+   * @param {Object} options - {partial: true when the student ended the session early}
+   */
+  const handleComplete = (gameResults, { partial = false } = {}) => {
+    clearActiveSession();
+    setActiveSession(null);
     setResults(gameResults);
     setCurrentMode(MODES.RESULTS);
 
-    // Save to history
-    const stats = calculateStats(gameResults);
-    saveToHistory({
+    // Update the review schedule
+    recordReviewResults(currentLibrary, gameResults);
+
+    // Collect mistakes into the notebook
+    recordMistakes(currentLibrary, gameResults);
+
+    // Save to history: per word, counting the first attempt; retries go into the final stats
+    const { firstAttempt: stats, final, attempts } = getSessionStats(gameResults);
+    const difficultyStats = calculateDifficultyStats(gameResults.filter(r => r.attempt === 1), selectedWords);
+    const sessionId = saveToHistory({
       mode: currentModeName,
-      wordCount: gameResults.length,
+      modeKey: currentMode,
+      library: currentLibrary,
+      wordCount: stats.total,
       correct: stats.correct,
       incorrect: stats.incorrect,
       accuracy: stats.accuracy,
+      finalCorrect: final.correct,
+      finalAccuracy: final.accuracy,
+      attempts,
       withHints: stats.withHints,
       totalHintsUsed: stats.totalHintsUsed,
-      timeoutCount: stats.timeoutCount
+      timeoutCount: stats.timeoutCount,
+      partialCount: stats.partialCount,
+      scoreRate: stats.scoreRate,
+      exam: exam !== null,
+      examMinutes: exam ? exam.minutes : undefined,
+      partial: partial || undefined,
+      difficultyStats
     });
+
+    // Keep per-word records for later analysis
+    recordWordResults(currentLibrary, currentMode, gameResults, sessionId);
+  };
+
+  const handleImported = (library) => {
+    setLibraries(getLibraryManifest());
+    setCurrentLibrary(library.id);
+    setShowImportModal(false);
+  };
+
+  const handleDeleteLibrary = (libraryId) => {
+    const library = libraries.find(lib => lib.id === libraryId);
+    if (!library || !library.custom) return;
+
+    if (window.confirm(`确定要删除词库「${library.name}」吗？`)) {
+      deleteCustomLibrary(libraryId);
+      const updated = getLibraryManifest();
+      setLibraries(updated);
+      setCurrentLibrary(updated[0].id);
+    }
+  };
+
+  const handleEditorClose = () => {
+    setLibraries(getLibraryManifest());
+    reloadLibrary();
+    setCurrentMode(MODES.MENU);
   };
 
   const backToMenu = () => {
     setCurrentMode(MODES.MENU);
     setResults([]);
+    setActiveSession(getActiveSession());
   };
 
-  const renderContent = () => {
-    const currentWordsData = WORD_LIBRARIES[currentLibrary];
+  // 练习中途返回时先确认，可以稍后继续、保存已答的成绩或放弃
+  const handleBack = () => {
+    if (MODE_NAMES[currentMode]) {
+      setActiveSession(getActiveSession());
+      setShowAbandonModal(true);
+    } else {
+      backToMenu();
+    }
+  };
+
+  const handleSavePartial = () => {
+    const session = getActiveSession();
+    setShowAbandonModal(false);
+    handleComplete(getSessionResults(session && session.state ? session.state.events : []), { partial: true });
+  };
+
+  const handleAbandon = () => {
+    clearActiveSession();
+    setShowAbandonModal(false);
+    backToMenu();
+  };
 
+  const handlePreferencesChange = (changes) => {
+    const updated = { ...preferences, ...changes };
+    setPreferences(updated);
+    savePreferences(updated);
+  };
+
+  const profile = getActiveProfile();
+  const history = getHistory();
+  const mistakes = getMistakes(currentLibrary);
+
+  const renderContent = () => {
     switch (currentMode) {
       case MODES.MENU:
         return (
           <MainMenu
             onStartMode={startMode}
-            totalWords={currentWordsData.length}
+            words={wordsData}
+            mistakeCount={mistakes.length}
             libraries={libraries}
             currentLibrary={currentLibrary}
             onLibraryChange={setCurrentLibrary}
+            libraryStatus={libraryStatus}
+            libraryError={libraryError}
+            onRetryLibrary={reloadLibrary}
+            onImportLibrary={() => setShowImportModal(true)}
+            onDeleteLibrary={handleDeleteLibrary}
+            onEditLibrary={() => setCurrentMode(MODES.EDITOR)}
+            onShowMastery={() => setCurrentMode(MODES.MASTERY)}
+            activeSession={activeSession && activeSession.library === currentLibrary ? activeSession : null}
+            onResumeSession={resumeSession}
+            onDiscardSession={discardSession}
+            preferences={preferences}
+            onPreferencesChange={handlePreferencesChange}
           />
         );
 
       case MODES.LISTEN_SPELL:
-        return <ListenSpell words={selectedWords} onComplete={handleComplete} />;
+        return (
+          <ListenSpell
+            words={selectedWords}
+            libraryId={currentLibrary}
+            partialCredit={preferences.partialCredit}
+            repeatCount={preferences.repeatCount}
+            repeatGap={preferences.repeatGap}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
 
       case MODES.FILL_BLANK:
-        return <FillBlank words={selectedWords} onComplete={handleComplete} />;
+        return (
+          <FillBlank
+            words={selectedWords}
+            libraryWords={wordsData}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
 
       case MODES.LETTER_PUZZLE:
-        return <LetterPuzzle words={selectedWords} onComplete={handleComplete} />;
+        return (
+          <LetterPuzzle
+            words={selectedWords}
+            libraryId={currentLibrary}
+            partialCredit={preferences.partialCredit}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
+
+      case MODES.MEANING_TO_WORD:
+      case MODES.WORD_TO_MEANING:
+        return (
+          <MeaningQuiz
+            key={currentMode}
+            words={selectedWords}
+            libraryWords={wordsData}
+            direction={currentMode}
+            libraryId={currentLibrary}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
+
+      case MODES.DICTATE_SENTENCE:
+      case MODES.DICTATE_WORD:
+        return (
+          <SentenceDictation
+            key={currentMode}
+            words={selectedWords}
+            target={currentMode}
+            libraryId={currentLibrary}
+            partialCredit={preferences.partialCredit}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
+
+      case MODES.SPEAKING:
+        return (
+          <SpeakingPractice
+            words={selectedWords}
+            libraryId={currentLibrary}
+            partialCredit={preferences.partialCredit}
+            timeLimit={preferences.timeLimit}
+            timeoutAction={preferences.timeoutAction}
+            exam={exam}
+            paused={showAbandonModal}
+            onComplete={handleComplete}
+          />
+        );
+
+      case MODES.EDITOR:
+        return (
+          <LibraryEditor
+            library={libraries.find(lib => lib.id === currentLibrary)}
+            onClose={handleEditorClose}
+          />
+        );
+
+      case MODES.MASTERY:
+        return (
+          <MasteryMap
+            library={libraries.find(lib => lib.id === currentLibrary)}
+            words={wordsData}
+            modeNames={MODE_NAMES}
+            onStart={(mode, picked) => startMode(mode, picked.length, { source: WORD_SOURCES.SELECTED, picked })}
+          />
+        );
 
       case MODES.RESULTS:
-        return <Results results={results} onBackToMenu={backToMenu} />;
+        return <Results results={results} words={selectedWords} exam={exam} onBackToMenu={backToMenu} />;
 
       default:
         return (
           <MainMenu
             onStartMode={startMode}
-            totalWords={currentWordsData.length}
+            words={wordsData}
+            mistakeCount={mistakes.length}
             libraries={libraries}
             currentLibrary={currentLibrary}
             onLibraryChange={setCurrentLibrary}
+            libraryStatus={libraryStatus}
+            libraryError={libraryError}
+            onRetryLibrary={reloadLibrary}
+            onImportLibrary={() => setShowImportModal(true)}
+            onDeleteLibrary={handleDeleteLibrary}
+            onEditLibrary={() => setCurrentMode(MODES.EDITOR)}
+            onShowMastery={() => setCurrentMode(MODES.MASTERY)}
+            activeSession={activeSession && activeSession.library === currentLibrary ? activeSession : null}
+            onResumeSession={resumeSession}
+            onDiscardSession={discardSession}
+            preferences={preferences}
+            onPreferencesChange={handlePreferencesChange}
           />
         );
     }
   };
 
-  const history = getHistory();
-
   return (
     <div className="App">
       <header className="App-header">
         <h1>📚 背单词 - 八年级英语</h1>
         <div className="header-actions">
-          {currentMode !== MODES.MENU && currentMode !== MODES.RESULTS && (
-            <button className="btn-back" onClick={backToMenu}>
+          {currentMode !== MODES.MENU && currentMode !== MODES.RESULTS && currentMode !== MODES.EDITOR && (
+            <button className="btn-back" onClick={handleBack}>
               ← 返回主菜单
             </button>
           )}
+          <button
+            className="btn-history btn-profile"
+            onClick={() => setShowProfileModal(true)}
+            title="切换学习者"
+          >
+            <span className="profile-avatar">{profile.avatar}</span> {profile.name}
+          </button>
           <button
             className="btn-history"
             onClick={() => setShowHistoryModal(true)}
@@ -126,21 +489,95 @@ function App() {
           >
             📊 历史{history.length > 0 && <span className="history-badge">{history.length}</span>}
           </button>
+          <button
+            className="btn-history"
+            onClick={() => setShowMistakesModal(true)}
+            title="错题本"
+          >
+            📕 错题本{mistakes.length > 0 && <span className="history-badge">{mistakes.length}</span>}
+          </button>
+          <button
+            className="btn-history"
+            onClick={() => setShowBackupModal(true)}
+            title="备份与恢复"
+          >
+            💾 备份
+          </button>
+          <button
+            className="btn-history"
+            onClick={() => setShowSettingsModal(true)}
+            title="设置"
+          >
+            ⚙️ 设置
+          </button>
         </div>
       </header>
       <main className="App-main">
         {renderContent()}
       </main>
       <footer className="App-footer">
-        <p>八年级上册英语词汇学习 | 当前词库: {WORD_LIBRARIES[currentLibrary].length} 个单词</p>
+        <p>八年级上册英语词汇学习 | 当前词库: {wordsData.length} 个单词</p>
       </footer>
 
       {showHistoryModal && (
         <HistoryModal
           history={history}
+          words={wordsData}
+          currentLibrary={currentLibrary}
           onClose={() => setShowHistoryModal(false)}
         />
       )}
+
+      {showProfileModal && (
+        <ProfileModal
+          onSwitched={() => window.location.reload()}
+          onClose={() => setShowProfileModal(false)}
+        />
+      )}
+
+      {showSettingsModal && (
+        <SettingsModal
+          preferences={preferences}
+          onChange={handlePreferencesChange}
+          library={libraries.find(lib => lib.id === currentLibrary)}
+          words={wordsData}
+          onClose={() => setShowSettingsModal(false)}
+        />
+      )}
+
+      {showBackupModal && (
+        <BackupModal onClose={() => setShowBackupModal(false)} />
+      )}
+
+      {showImportModal && (
+        <ImportModal
+          onImported={handleImported}
+          onClose={() => setShowImportModal(false)}
+        />
+      )}
+
+      {showAbandonModal && (
+        <AbandonSessionModal
+          answered={activeSession && activeSession.state ? getSessionResults(activeSession.state.events).length : 0}
+          total={activeSession && activeSession.state ? activeSession.state.queue.length : selectedWords.length}
+          onContinue={() => setShowAbandonModal(false)}
+          onPause={exam ? null : () => {
+            setShowAbandonModal(false);
+            backToMenu();
+          }}
+          onSavePartial={handleSavePartial}
+          onAbandon={handleAbandon}
+        />
+      )}
+
+      {showMistakesModal && (
+        <MistakesModal
+          mistakes={mistakes}
+          words={wordsData}
+          currentLibrary={currentLibrary}
+          onClose={() => setShowMistakesModal(false)}
+        />
+      )}
     </div>
   );
 }
@@ -148,10 +585,74 @@ function App() {
 /**
  * Main Menu Component
  */
-const MainMenu = ({ onStartMode, totalWords, libraries, currentLibrary, onLibraryChange }) => {
+const MainMenu = ({
+  onStartMode,
+  words,
+  mistakeCount,
+  libraries,
+  currentLibrary,
+  onLibraryChange,
+  libraryStatus,
+  libraryError,
+  onRetryLibrary,
+  onImportLibrary,
+  onDeleteLibrary,
+  onEditLibrary,
+  onShowMastery,
+  activeSession,
+  onResumeSession,
+  onDiscardSession,
+  preferences,
+  onPreferencesChange
+}) => {
   const [wordCount, setWordCount] = useState(10);
   const [customCount, setCustomCount] = useState('');
   const [useCustomCount, setUseCustomCount] = useState(false);
+  const [wordSource, setWordSource] = useState(WORD_SOURCES.RANDOM);
+  const [examMode, setExamMode] = useState(false);
+  const [scope, setScope] = useState(() => getWordScope(currentLibrary));
+
+  // 切换词库时恢复该词库上次的范围选择
+  useEffect(() => {
+    setScope(getWordScope(currentLibrary));
+  }, [currentLibrary]);
+
+  const unitCounts = getUnitCounts(words);
+  const scopedWords = filterWordsByScope(words, scope);
+  const totalWords = scopedWords.length;
+  const reviewSummary = getReviewSummary(scopedWords, currentLibrary);
+
+  const updateScope = (changes) => {
+    const newScope = { ...scope, ...changes };
+    setScope(newScope);
+    saveWordScope(currentLibrary, newScope);
+  };
+
+  const toggleDifficulty = (difficulty) => {
+    const difficulties = scope.difficulties.includes(difficulty)
+      ? scope.difficulties.filter(d => d !== difficulty)
+      : [...scope.difficulties, difficulty];
+    updateScope({ difficulties });
+  };
+
+  const handleMixChange = (difficulty, value) => {
+    if (value === '' || /^\d+$/.test(value)) {
+      updateScope({ mix: { ...scope.mix, [difficulty]: Math.min(Number(value), 100) } });
+    }
+  };
+
+  const toggleUnit = (unit) => {
+    const units = scope.units.includes(unit)
+      ? scope.units.filter(u => u !== unit)
+      : [...scope.units, unit].sort((a, b) => a - b);
+    updateScope({ units });
+  };
+
+  const handlePageChange = (field, value) => {
+    if (value === '' || /^\d+$/.test(value)) {
+      updateScope({ [field]: value });
+    }
+  };
 
   const getEffectiveWordCount = () => {
     if (useCustomCount && customCount) {
@@ -184,6 +685,33 @@ const MainMenu = ({ onStartMode, totalWords, libraries, currentLibrary, onLibrar
               </option>
             ))}
           </select>
+          {libraryStatus === 'loading' && (
+            <span className="library-status loading">加载中...</span>
+          )}
+          {libraryStatus === 'error' && (
+            <span className="library-status error" title={libraryError}>
+              ⚠️ 加载失败
+              <button className="btn-text" onClick={onRetryLibrary}>重试</button>
+            </span>
+          )}
+          <button className="btn-text" onClick={onShowMastery} title="查看每个单元的掌握情况">
+            🗺️ 掌握情况
+          </button>
+          <button className="btn-text" onClick={onEditLibrary} title="编辑当前词库">
+            ✏️ 编辑
+          </button>
+          <button className="btn-text" onClick={onImportLibrary} title="导入 CSV/TSV/JSON 单词表">
+            📥 导入
+          </button>
+          {libraries.some(lib => lib.id === currentLibrary && lib.custom) && (
+            <button
+              className="btn-text btn-danger"
+              onClick={() => onDeleteLibrary(currentLibrary)}
+              title="删除此自定义词库"
+            >
+              🗑️
+            </button>
+          )}
         </div>
 
         <div className="word-count-selector">
@@ -219,29 +747,223 @@ const MainMenu = ({ onStartMode, totalWords, libraries, currentLibrary, onLibrar
             />
           )}
         </div>
+
+        <div className="word-source-selector">
+          <label>🎯 出题:</label>
+          <select value={wordSource} onChange={(e) => setWordSource(e.target.value)}>
+            <option value={WORD_SOURCES.RANDOM}>随机抽取</option>
+            <option value={WORD_SOURCES.REVIEW}>今日复习 ({reviewSummary.due} 个待复习)</option>
+            <option value={WORD_SOURCES.MISTAKES}>错题练习 ({mistakeCount} 个错题)</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="scope-selector">
+        <div className="unit-selector">
+          <label>📖 单元:</label>
+          <div className="unit-chips">
+            <button
+              className={`unit-chip ${scope.units.length === 0 ? 'selected' : ''}`}
+              onClick={() => updateScope({ units: [] })}
+            >
+              全部 ({words.length})
+            </button>
+            {unitCounts.map(({ unit, count }) => (
+              <button
+                key={unit}
+                className={`unit-chip ${scope.units.includes(unit) ? 'selected' : ''}`}
+                onClick={() => toggleUnit(unit)}
+              >
+                Unit {unit} ({count})
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="difficulty-selector">
+          <label>🎚️ 难度:</label>
+          <div className="unit-chips">
+            <button
+              className={`unit-chip ${scope.difficulties.length === 0 ? 'selected' : ''}`}
+              onClick={() => updateScope({ difficulties: [] })}
+            >
+              全部
+            </button>
+            {Object.keys(DIFFICULTY_LEVELS).map(difficulty => (
+              <button
+                key={difficulty}
+                className={`unit-chip ${scope.difficulties.includes(difficulty) ? 'selected' : ''}`}
+                onClick={() => toggleDifficulty(difficulty)}
+              >
+                {DIFFICULTY_LEVELS[difficulty]} ({words.filter(w => w.difficulty === difficulty).length})
+              </button>
+            ))}
+          </div>
+          <label className="mix-toggle">
+            <input
+              type="checkbox"
+              checked={scope.mixEnabled}
+              onChange={(e) => updateScope({ mixEnabled: e.target.checked })}
+            />
+            按比例混合
+          </label>
+          {scope.mixEnabled && (
+            <div className="mix-inputs">
+              {Object.keys(DIFFICULTY_LEVELS)
+                .filter(d => scope.difficulties.length === 0 || scope.difficulties.includes(d))
+                .map(difficulty => (
+                  <span key={difficulty} className="mix-input-item">
+                    {DIFFICULTY_LEVELS[difficulty]}
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className="page-input"
+                      value={scope.mix[difficulty]}
+                      onChange={(e) => handleMixChange(difficulty, e.target.value)}
+                    />
+                    %
+                  </span>
+                ))}
+            </div>
+          )}
+        </div>
+        <div className="page-range-selector">
+          <label>📄 页码:</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            className="page-input"
+            value={scope.pageFrom}
+            onChange={(e) => handlePageChange('pageFrom', e.target.value)}
+            placeholder="起始"
+          />
+          <span>-</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            className="page-input"
+            value={scope.pageTo}
+            onChange={(e) => handlePageChange('pageTo', e.target.value)}
+            placeholder="结束"
+          />
+          <span className="scope-count">已选 {totalWords} 个单词</span>
+        </div>
+        <div className="grading-selector">
+          <label>✍️ 拼写:</label>
+          <label className="mix-toggle">
+            <input
+              type="checkbox"
+              checked={preferences.partialCredit}
+              onChange={(e) => onPreferencesChange({ partialCredit: e.target.checked })}
+            />
+            只错一两个字母时得一半分
+          </label>
+        </div>
+        <div className="grading-selector">
+          <label>📝 考试:</label>
+          <label className="mix-toggle">
+            <input
+              type="checkbox"
+              checked={examMode}
+              onChange={(e) => setExamMode(e.target.checked)}
+            />
+            考试模式（共 {preferences.examMinutes} 分钟，不重做、不提示，交卷后才显示答案）
+          </label>
+        </div>
+      </div>
+
+      <div className="review-summary">
+        <div className="review-summary-item due">
+          <span className="review-summary-value">{reviewSummary.due}</span>
+          <span className="review-summary-label">待复习</span>
+        </div>
+        <div className="review-summary-item">
+          <span className="review-summary-value">{reviewSummary.new}</span>
+          <span className="review-summary-label">新单词</span>
+        </div>
+        <div className="review-summary-item learned">
+          <span className="review-summary-value">{reviewSummary.learned}</span>
+          <span className="review-summary-label">已掌握</span>
+        </div>
       </div>
 
-      <div className="mode-cards">
-        <div className="mode-card" onClick={() => onStartMode(MODES.LISTEN_SPELL, getEffectiveWordCount())}>
+      {activeSession && activeSession.state && (
+        <div className="resume-card">
+          <div className="resume-info">
+            <strong>▶️ 继续上次的练习: {activeSession.modeName}</strong>
+            <span>
+              {activeSession.exam && '考试 · '}
+              已完成 {getSessionResults(activeSession.state.events).length} / {activeSession.state.queue.length} 题 · {formatDate(activeSession.savedAt || activeSession.startedAt)}
+            </span>
+          </div>
+          <button className="btn btn-primary" onClick={onResumeSession} disabled={libraryStatus !== 'ready'}>
+            继续
+          </button>
+          <button className="btn-text btn-danger" onClick={onDiscardSession}>
+            放弃
+          </button>
+        </div>
+      )}
+
+      <div className={`mode-cards ${libraryStatus !== 'ready' ? 'disabled' : ''}`}>
+        <div className="mode-card" onClick={() => onStartMode(MODES.LISTEN_SPELL, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
           <div className="mode-icon">🎧</div>
           <h3>听写拼写</h3>
           <p>听单词发音，然后拼写出来</p>
           <button className="btn btn-primary">开始</button>
         </div>
 
-        <div className="mode-card" onClick={() => onStartMode(MODES.FILL_BLANK, getEffectiveWordCount())}>
+        <div className="mode-card" onClick={() => onStartMode(MODES.FILL_BLANK, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
           <div className="mode-icon">📝</div>
           <h3>句子填空</h3>
           <p>选择正确的单词填入句子中</p>
           <button className="btn btn-primary">开始</button>
         </div>
 
-        <div className="mode-card" onClick={() => onStartMode(MODES.LETTER_PUZZLE, getEffectiveWordCount())}>
+        <div className="mode-card" onClick={() => onStartMode(MODES.LETTER_PUZZLE, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
           <div className="mode-icon">🧩</div>
           <h3>字母填空</h3>
           <p>根据提示填写完整的单词</p>
           <button className="btn btn-primary">开始</button>
         </div>
+
+        <div className="mode-card" onClick={() => onStartMode(MODES.MEANING_TO_WORD, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
+          <div className="mode-icon">🀄</div>
+          <h3>中译英</h3>
+          <p>看中文意思，选出正确的单词</p>
+          <button className="btn btn-primary">开始</button>
+        </div>
+
+        <div className="mode-card" onClick={() => onStartMode(MODES.WORD_TO_MEANING, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
+          <div className="mode-icon">🔤</div>
+          <h3>英译中</h3>
+          <p>看英文单词，选出正确的中文意思</p>
+          <button className="btn btn-primary">开始</button>
+        </div>
+
+        <div className="mode-card" onClick={() => onStartMode(MODES.DICTATE_SENTENCE, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
+          <div className="mode-icon">🗣️</div>
+          <h3>句子听写</h3>
+          <p>听例句朗读，写出整句或空格处的单词</p>
+          <div className="mode-card-actions">
+            <button className="btn btn-primary">写整句</button>
+            <button
+              className="btn btn-secondary"
+              onClick={(e) => {
+                e.stopPropagation();
+                onStartMode(MODES.DICTATE_WORD, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode });
+              }}
+            >
+              只写单词
+            </button>
+          </div>
+        </div>
+
+        <div className="mode-card" onClick={() => onStartMode(MODES.SPEAKING, getEffectiveWordCount(), { source: wordSource, scope, exam: examMode })}>
+          <div className="mode-icon">🎤</div>
+          <h3>口语跟读</h3>
+          <p>看单词和音标，大声读出来</p>
+          <button className="btn btn-primary">开始</button>
+        </div>
       </div>
 
       <div className="info-section">
@@ -250,6 +972,14 @@ const MainMenu = ({ onStartMode, totalWords, libraries, currentLibrary, onLibrar
           <li><strong>听写拼写:</strong> 练习听力和拼写能力，适合记忆单词拼写</li>
           <li><strong>句子填空:</strong> 通过语境理解单词用法，提高阅读理解能力</li>
           <li><strong>字母填空:</strong> 根据提示猜测单词，增强词汇记忆</li>
+          <li><strong>中译英 / 英译中:</strong> 在中文意思和英文单词之间快速识别，检验词义掌握</li>
+          <li><strong>句子听写:</strong> 听例句（可慢速重放），写出整句或句中的目标单词，逐词批改</li>
+          <li><strong>口语跟读:</strong> 用浏览器语音识别检查读音，需要麦克风（推荐Chrome或Edge）</li>
+          <li><strong>今日复习:</strong> 按记忆曲线优先安排到期的单词，不足时补充新单词</li>
+          <li><strong>错题练习:</strong> 只练习错题本中的单词，连续答对 {GRADUATION_STREAK} 次后自动移出</li>
+          <li><strong>考试模式:</strong> 整组题目限定总时长，不重做、不提示，时间到自动交卷，成绩单独记入历史</li>
+          <li><strong>掌握情况:</strong> 按单元查看每个单词的掌握程度和作答记录，选中单词后直接开始练习</li>
+          <li><strong>继续练习:</strong> 刷新页面或中途返回后，可以在主菜单接着做上次没做完的练习</li>
         </ul>
       </div>
     </div>
@@ -259,10 +989,14 @@ const MainMenu = ({ onStartMode, totalWords, libraries, currentLibrary, onLibrar
 /**
  * History Modal Component
  */
-const HistoryModal = ({ history, onClose }) => {
+const HistoryModal = ({ history, words, currentLibrary, onClose }) => {
+  const [view, setView] = useState('list'); // 'list' 记录列表，'charts' 趋势图表
+  const missedWords = getMostMissedWords(currentLibrary, 10);
+
   const handleClearHistory = () => {
     if (window.confirm('确定要清除所有历史记录吗？')) {
       clearHistory();
+      clearWordRecords();
       onClose();
       window.location.reload();
     }
@@ -284,13 +1018,28 @@ const HistoryModal = ({ history, onClose }) => {
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content history-modal" onClick={e => e.stopPropagation()}>
+      <div className={`modal-content history-modal ${view === 'charts' ? 'wide' : ''}`} onClick={e => e.stopPropagation()}>
         <div className="modal-header">
           <h2>📊 学习历史</h2>
           <button className="modal-close" onClick={onClose}>&times;</button>
         </div>
 
-        {history.length > 0 ? (
+        {history.length > 0 && (
+          <div className="history-views">
+            <button className={`range-btn ${view === 'list' ? 'active' : ''}`} onClick={() => setView('list')}>
+              📋 记录
+            </button>
+            <button className={`range-btn ${view === 'charts' ? 'active' : ''}`} onClick={() => setView('charts')}>
+              📈 趋势
+            </button>
+          </div>
+        )}
+
+        {history.length > 0 && view === 'charts' ? (
+          <div className="history-list-container">
+            <ProgressDashboard history={history} words={words} currentLibrary={currentLibrary} />
+          </div>
+        ) : history.length > 0 ? (
           <>
             <div className="history-summary">
               <div className="summary-item">
@@ -312,11 +1061,34 @@ const HistoryModal = ({ history, onClose }) => {
             </div>
 
             <div className="history-list-container">
+              {missedWords.length > 0 && (
+                <div className="missed-words">
+                  <h3>🔁 常错单词</h3>
+                  {missedWords.map(record => (
+                    <div key={record.word} className="missed-word-item">
+                      <span className="missed-word">{record.word}</span>
+                      <span className="missed-count">错 {record.incorrect} / {record.total} 次</span>
+                      {record.mainErrorType && (
+                        <span className="missed-error-type">{ERROR_TYPES[record.mainErrorType]}</span>
+                      )}
+                      {record.wrongAnswers.length > 0 && (
+                        <span className="missed-answers" title="写错的答案">
+                          {[...new Set(record.wrongAnswers)].slice(-3).join(', ')}
+                        </span>
+                      )}
+                      <span className="missed-time">{formatDate(record.lastSeen)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="history-list">
                 {history.map((item) => (
                   <div key={item.id} className="history-item">
                     <div className="history-info">
                       <span className="history-mode">{item.mode}</span>
+                      {item.exam && <span className="history-exam">考试</span>}
+                      {item.partial && <span className="history-partial">未完成</span>}
                       <span className="history-time">{formatDate(item.timestamp)}</span>
                     </div>
                     <div className="history-stats">
@@ -324,6 +1096,11 @@ const HistoryModal = ({ history, onClose }) => {
                       <span className={`history-accuracy ${item.accuracy >= 80 ? 'good' : item.accuracy >= 60 ? 'medium' : 'poor'}`}>
                         {item.accuracy}%
                       </span>
+                      {item.finalAccuracy !== undefined && item.attempts > item.wordCount && (
+                        <span className="history-final" title={`重做后正确率（共作答 ${item.attempts} 次）`}>
+                          → {item.finalAccuracy}%
+                        </span>
+                      )}
                       <span className="history-result">
                         ✓{item.correct} / ✗{item.incorrect}
                       </span>
@@ -337,6 +1114,13 @@ const HistoryModal = ({ history, onClose }) => {
                           ⏱️{item.timeoutCount}
                         </span>
                       )}
+                      {item.difficultyStats && item.difficultyStats.length > 1 && (
+                        <span className="history-difficulty">
+                          {item.difficultyStats
+                            .map(t => `${DIFFICULTY_LEVELS[t.difficulty]} ${t.correct}/${t.total}`)
+                            .join(' · ')}
+                        </span>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -360,20 +1144,111 @@ const HistoryModal = ({ history, onClose }) => {
   );
 };
 
+/**
+ * Mistakes Modal Component
+ */
+const MistakesModal = ({ mistakes, words, currentLibrary, onClose }) => {
+  const [entries, setEntries] = useState(mistakes);
+
+  const meaningOf = (word) => {
+    const found = words.find(w => w.word === word);
+    return found ? found.meaning : '';
+  };
+
+  const handleRemove = (word) => {
+    removeMistake(currentLibrary, word);
+    setEntries(entries.filter(e => e.word !== word));
+  };
+
+  const handleClear = () => {
+    if (window.confirm('确定要清空错题本吗？')) {
+      clearMistakes(currentLibrary);
+      setEntries([]);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content history-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📕 错题本</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        {entries.length > 0 ? (
+          <>
+            <div className="history-list-container">
+              <p className="mistakes-tip">
+                在主菜单选择「错题练习」即可专门练习这些单词，连续答对 {GRADUATION_STREAK} 次后自动移出。
+              </p>
+              <div className="history-list">
+                {entries.map(entry => (
+                  <div key={entry.word} className="history-item mistake-item">
+                    <div className="history-info">
+                      <span className="history-mode">{entry.word}</span>
+                      <span className="history-time">{meaningOf(entry.word)}</span>
+                    </div>
+                    <div className="history-stats">
+                      {entry.reasons.incorrect > 0 && (
+                        <span className="history-result" title={`答错 ${entry.reasons.incorrect} 次`}>
+                          ✗{entry.reasons.incorrect}
+                        </span>
+                      )}
+                      {entry.reasons.hint > 0 && (
+                        <span className="history-hints" title={`使用提示 ${entry.reasons.hint} 次`}>
+                          💡{entry.reasons.hint}
+                        </span>
+                      )}
+                      {entry.reasons.timeout > 0 && (
+                        <span className="history-timeout" title={`超时 ${entry.reasons.timeout} 次`}>
+                          ⏱️{entry.reasons.timeout}
+                        </span>
+                      )}
+                      <span className="mistake-streak" title="连续答对次数">
+                        {entry.streak}/{GRADUATION_STREAK}
+                      </span>
+                      <button className="btn-text btn-danger" onClick={() => handleRemove(entry.word)}>
+                        移除
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="modal-footer">
+              <button className="btn btn-danger" onClick={handleClear}>
+                清空错题本
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="empty-history">
+            <p>错题本是空的</p>
+            <p>答错、超时或使用提示的单词会自动收集到这里</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Results Component
  */
-const Results = ({ results, onBackToMenu }) => {
-  const stats = calculateStats(results);
+const Results = ({ results, words, exam, onBackToMenu }) => {
+  // 统计按单词计：首次作答的成绩，以及重做之后的最终成绩
+  const { firstAttempt: stats, final, attempts } = getSessionStats(results);
+  const difficultyStats = calculateDifficultyStats(results.filter(r => r.attempt === 1), words);
 
   return (
     <div className="results-container">
-      <h2>学习成果</h2>
+      <h2>{exam ? '考试成绩' : '学习成果'}</h2>
 
       <div className="stats-summary">
         <div className="stat-card">
           <div className="stat-value">{stats.total}</div>
-          <div className="stat-label">总题数</div>
+          <div className="stat-label">单词数</div>
         </div>
         <div className="stat-card correct">
           <div className="stat-value">{stats.correct}</div>
@@ -385,14 +1260,21 @@ const Results = ({ results, onBackToMenu }) => {
         </div>
         <div className="stat-card accuracy">
           <div className="stat-value">{stats.accuracy}%</div>
-          <div className="stat-label">准确率</div>
+          <div className="stat-label">首次正确率</div>
           {stats.withHints > 0 && (
             <div className="stat-note">不含提示题</div>
           )}
         </div>
+        {attempts > stats.total && (
+          <div className="stat-card final">
+            <div className="stat-value">{final.accuracy}%</div>
+            <div className="stat-label">重做后正确率</div>
+            <div className="stat-note">共作答 {attempts} 次</div>
+          </div>
+        )}
       </div>
 
-      {(stats.withHints > 0 || stats.timeoutCount > 0) && (
+      {(stats.withHints > 0 || stats.timeoutCount > 0 || stats.partialCount > 0) && (
         <div className="extra-stats">
           {stats.withHints > 0 && (
             <div className="extra-stat-item hint-stat">
@@ -410,6 +1292,27 @@ const Results = ({ results, onBackToMenu }) => {
               </span>
             </div>
           )}
+          {stats.partialCount > 0 && (
+            <div className="extra-stat-item partial-stat">
+              <span className="extra-stat-icon">✍️</span>
+              <span className="extra-stat-text">
+                部分得分: {stats.partialCount} 题，得分率 {stats.scoreRate}%
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {difficultyStats.length > 0 && (
+        <div className="difficulty-stats">
+          {difficultyStats.map(tier => (
+            <div key={tier.difficulty} className={`difficulty-stat-item ${tier.difficulty}`}>
+              <span className="difficulty-stat-name">{DIFFICULTY_LEVELS[tier.difficulty]}</span>
+              <span className="difficulty-stat-value">
+                {tier.correct}/{tier.total} ({tier.accuracy}%)
+              </span>
+            </div>
+          ))}
         </div>
       )}
 
@@ -427,9 +1330,15 @@ const Results = ({ results, onBackToMenu }) => {
                 {result.timeout && (
                   <span className="badge badge-timeout" title="超时">⏱️</span>
                 )}
+                {result.attempt > 1 && (
+                  <span className="badge badge-attempt" title="重做">第{result.attempt}次</span>
+                )}
               </span>
               {!result.correct && (
-                <span className="result-answer">你的答案: {result.userAnswer}</span>
+                <span className="result-answer">
+                  你的答案: {result.userAnswer}
+                  {result.errorType && result.errorType !== 'skipped' && ` (${ERROR_TYPES[result.errorType]})`}
+                </span>
               )}
             </div>
           ))}
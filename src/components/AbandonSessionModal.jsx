@@ -0,0 +1,41 @@
+import React from 'react';
+
+/**
+ * AbandonSessionModal Component - Confirm leaving a practice session that is not finished.
+ * Without onPause (exams) the session can only be handed in or abandoned.
+ */
+const AbandonSessionModal = ({ answered, total, onContinue, onPause, onSavePartial, onAbandon }) => (
+  <div className="modal-overlay" onClick={onContinue}>
+    <div className="modal-content abandon-modal" onClick={e => e.stopPropagation()}>
+      <div className="modal-header">
+        <h2>离开本次练习？</h2>
+        <button className="modal-close" onClick={onContinue}>&times;</button>
+      </div>
+
+      <div className="abandon-body">
+        <p>已完成 {answered} / {total} 题。</p>
+        <div className="abandon-actions">
+          <button className="btn btn-primary" onClick={onContinue}>
+            继续练习
+          </button>
+          {onPause && (
+            <button className="btn btn-secondary" onClick={onPause}>
+              稍后继续
+            </button>
+          )}
+          <button className="btn btn-success" onClick={onSavePartial} disabled={answered === 0}>
+            保存已答的成绩并结束
+          </button>
+          <button className="btn btn-danger" onClick={onAbandon}>
+            放弃，不保存
+          </button>
+        </div>
+        <p className="abandon-tip">
+          {onPause ? '选择“稍后继续”后，可以在主菜单接着练习' : '考试不能暂停，离开时请交卷或放弃'}
+        </p>
+      </div>
+    </div>
+  </div>
+);
+
+export default AbandonSessionModal;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { downloadBackup, parseBackup, restoreBackup } from '../utils/backup';
+import { formatDate } from '../utils/storageHelper';
+import { getActiveProfile } from '../utils/profiles';
+
+/**
+ * BackupModal Component - Export all learner data and restore it from a file
+ */
+const BackupModal = ({ onClose }) => {
+  const [backup, setBackup] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [mode, setMode] = useState('merge'); // 'merge', 'replace'
+  const [preferBackup, setPreferBackup] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { backup: parsed, error } = parseBackup(reader.result);
+      setBackup(parsed || null);
+      setFileError(error || '');
+      setReport(null);
+    };
+    reader.onerror = () => {
+      setBackup(null);
+      setFileError('无法读取文件');
+    };
+    reader.readAsText(file);
+  };
+
+  const handleRestore = () => {
+    if (!backup) return;
+    if (mode === 'replace' && !window.confirm('替换将覆盖本机的所有学习数据，确定继续吗？')) return;
+
+    try {
+      setReport(restoreBackup(backup, { mode, preferBackup }));
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setFileError(error.name === 'QuotaExceededError'
+        ? '恢复失败，浏览器存储空间已满，数据没有改动'
+        : '恢复失败，备份文件的数据有问题，数据没有改动');
+    }
+  };
+
+  const handleClose = () => {
+    onClose();
+    // 恢复后重新加载，让所有界面读取新数据
+    if (report) {
+      window.location.reload();
+    }
+  };
+
+  const profile = getActiveProfile();
+  const sessionCount = backup && Array.isArray(backup.data.history) ? backup.data.history.length : 0;
+  const libraryCount = backup && Array.isArray(backup.data.customLibraries) ? backup.data.customLibraries.length : 0;
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content backup-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>💾 数据备份</h2>
+          <button className="modal-close" onClick={handleClose}>&times;</button>
+        </div>
+
+        <div className="import-body">
+          <div className="backup-section">
+            <h3>导出</h3>
+            <p className="import-tip">
+              把「{profile.avatar} {profile.name}」的学习历史、单词进度、错题本和设置，以及自定义词库保存为一个文件。
+            </p>
+            <button className="btn btn-primary" onClick={downloadBackup}>导出备份文件</button>
+          </div>
+
+          <div className="backup-section">
+            <h3>恢复</h3>
+            <input
+              type="file"
+              accept=".json"
+              className="import-file-input"
+              onChange={handleFileChange}
+            />
+
+            {fileError && (
+              <div className="error-message">
+                <p>{fileError}</p>
+              </div>
+            )}
+
+            {backup && !report && (
+              <>
+                <p className="import-tip">
+                  备份时间: {formatDate(backup.exportedAt)}，{sessionCount} 次学习记录，{libraryCount} 个自定义词库
+                  {backup.profile && `（来自「${backup.profile.name}」）`}
+                </p>
+                <p className="import-tip">学习数据将恢复到当前学习者「{profile.name}」。</p>
+                <div className="backup-options">
+                  <label>
+                    <input
+                      type="radio"
+                      checked={mode === 'merge'}
+                      onChange={() => setMode('merge')}
+                    />
+                    合并到本机数据
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      checked={mode === 'replace'}
+                      onChange={() => setMode('replace')}
+                    />
+                    替换本机数据
+                  </label>
+                  {mode === 'merge' && (
+                    <label className="backup-conflict">
+                      <input
+                        type="checkbox"
+                        checked={preferBackup}
+                        onChange={(e) => setPreferBackup(e.target.checked)}
+                      />
+                      记录冲突时（同一学习记录 id 内容不同）使用备份中的版本
+                    </label>
+                  )}
+                </div>
+                <button className="btn btn-success" onClick={handleRestore}>开始恢复</button>
+              </>
+            )}
+
+            {report && (
+              <div className="backup-report">
+                <p>✓ 恢复完成</p>
+                <p>新增学习记录 {report.sessionsAdded} 条，新增自定义词库 {report.librariesAdded} 个</p>
+                {(report.sessionConflicts > 0 || report.libraryConflicts > 0) && (
+                  <p>
+                    冲突 {report.sessionConflicts + report.libraryConflicts} 项，
+                    已{preferBackup ? '使用备份中的版本' : '保留本机版本'}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupModal;
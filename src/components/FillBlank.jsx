@@ -1,211 +1,137 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { createBlankSentence, generateWrongOptions, shuffleArray, checkAnswer } from '../utils/wordHelpers';
-
-const TIMEOUT_SECONDS = 30;
+import React, { useState, useEffect } from 'react';
+import useSession from '../hooks/useSession';
+import { createBlankSentence, shuffleArray, checkAnswer } from '../utils/wordHelpers';
+import { generateDistractors } from '../utils/distractors';
+import SessionShell from './SessionShell';
 
 /**
  * FillBlank Component - Mode 2: Fill in the blank in a sentence
  */
-const FillBlank = ({ words: initialWords, onComplete }) => {
-  const [words, setWords] = useState(initialWords.map(w => ({ ...w, retryCount: 0 })));
-  const [currentIndex, setCurrentIndex] = useState(0);
+const FillBlank = ({
+  words,
+  libraryWords,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  onComplete
+}) => {
   const [selectedAnswer, setSelectedAnswer] = useState('');
-  const [showAnswer, setShowAnswer] = useState(false);
-  const [isCorrect, setIsCorrect] = useState(null);
-  const [results, setResults] = useState([]);
   const [options, setOptions] = useState([]);
-  const [elapsedTime, setElapsedTime] = useState(0);
-  const [isTimeout, setIsTimeout] = useState(false);
-  const timerRef = useRef(null);
-
-  const currentWord = words[currentIndex];
-
-  // Timer effect
-  useEffect(() => {
-    if (!showAnswer && currentWord) {
-      setElapsedTime(0);
-      setIsTimeout(false);
-      timerRef.current = setInterval(() => {
-        setElapsedTime(prev => {
-          const newTime = prev + 1;
-          if (newTime >= TIMEOUT_SECONDS) {
-            setIsTimeout(true);
-          }
-          return newTime;
-        });
-      }, 1000);
-    }
-
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentIndex, showAnswer]);
+  const session = useSession({
+    words,
+    timeLimit,
+    timeoutAction,
+    exam,
+    paused,
+    onAutoSubmit: () => submitAnswer(),
+    onComplete
+  });
+  const { currentWord, currentIndex, showAnswer } = session;
 
   useEffect(() => {
     if (currentWord) {
-      // Generate options: correct word + 3 wrong options
-      const wrongOpts = generateWrongOptions(words, currentWord.word, 3);
+      // Generate options: correct word + 3 look-alike distractors
+      const wrongOpts = generateDistractors(currentWord, words, libraryWords, 3);
       const allOptions = shuffleArray([currentWord.word, ...wrongOpts]);
       setOptions(allOptions);
+      setSelectedAnswer('');
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentIndex, words]);
+  }, [currentIndex]);
 
   const handleSelectOption = (option) => {
     if (showAnswer) return; // Prevent changing after submission
     setSelectedAnswer(option);
   };
 
-  const handleSubmit = () => {
-    if (!selectedAnswer) return;
-
-    // Stop the timer
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-
-    const correct = checkAnswer(selectedAnswer, currentWord.word);
-    setIsCorrect(correct);
-    setShowAnswer(true);
-
-    // Record result
-    setResults([...results, {
-      word: currentWord.word,
-      correct: correct,
-      userAnswer: selectedAnswer,
-      timeout: isTimeout,
-      hintsUsed: 0
-    }]);
-  };
-
-  const handleNext = () => {
-    // If answer was wrong and hasn't been retried yet, insert it again later
-    if (!isCorrect && currentWord.retryCount === 0) {
-      const insertPosition = Math.min(currentIndex + 3, words.length);
-      const updatedWords = [...words];
-      updatedWords.splice(insertPosition, 0, { ...currentWord, retryCount: 1 });
-      setWords(updatedWords);
-    }
-
-    if (currentIndex < words.length - 1) {
-      setCurrentIndex(currentIndex + 1);
-      setSelectedAnswer('');
-      setShowAnswer(false);
-      setIsCorrect(null);
-    } else {
-      // All words completed
-      if (onComplete) {
-        onComplete(results);
-      }
-    }
-  };
-
-  const handleSkip = () => {
-    // Stop the timer
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-
-    setResults([...results, {
-      word: currentWord.word,
-      correct: false,
-      userAnswer: '(skipped)',
-      timeout: isTimeout,
-      hintsUsed: 0
-    }]);
-    handleNext();
+  /**
+   * Record the selected option
+   * @returns {boolean} - False if nothing was selected
+   */
+  const submitAnswer = () => {
+    if (!selectedAnswer) return false;
+
+    session.submit({
+      correct: checkAnswer(selectedAnswer, currentWord.word),
+      userAnswer: selectedAnswer
+    });
+    return true;
   };
 
   if (!currentWord) {
     return <div className="loading">加载中...</div>;
   }
 
-  const blankSentence = createBlankSentence(currentWord.exampleSentence, currentWord.word);
-  const progress = Math.round(((currentIndex + 1) / words.length) * 100);
+  const { sentence: blankSentence, form } = createBlankSentence(currentWord.exampleSentence, currentWord);
+  const isInflected = form !== null && form.toLowerCase() !== currentWord.word.toLowerCase();
 
   return (
-    <div className="fill-blank-container">
-      <div className="progress-bar">
-        <div className="progress-fill" style={{ width: `${progress}%` }}></div>
-        <span className="progress-text">{currentIndex + 1} / {words.length}</span>
-      </div>
-
-      <div className="game-content">
-        <h2>句子填空</h2>
-        <p className="instruction">选择正确的单词填入句子中</p>
-
+    <SessionShell
+      session={session}
+      className="fill-blank-container"
+      title="句子填空"
+      instruction="选择正确的单词填入句子中"
+      renderPrompt={() => (
         <div className="sentence-display">
           <p className="sentence">{blankSentence}</p>
+          {isInflected && <p className="form-hint">提示：句中使用的是单词的变形，请选择原形</p>}
         </div>
-
-        {!showAnswer && (
-          <div className={`timer-display ${isTimeout ? 'timeout' : ''}`}>
-            <span className="timer-icon">⏱️</span>
-            <span className="timer-text">{elapsedTime}秒</span>
-            {isTimeout && <span className="timeout-warning">超时警告！请加快速度</span>}
-          </div>
-        )}
-
-        {!showAnswer ? (
-          <div className="options-section">
-            <div className="options-grid">
-              {options.map((option, index) => (
-                <button
-                  key={index}
-                  className={`option-btn ${selectedAnswer === option ? 'selected' : ''}`}
-                  onClick={() => handleSelectOption(option)}
-                >
-                  {option}
-                </button>
-              ))}
-            </div>
-
-            <div className="button-group">
+      )}
+      renderInput={() => (
+        <div className="options-section">
+          <div className="options-grid">
+            {options.map((option, index) => (
               <button
-                className="btn btn-success"
-                onClick={handleSubmit}
-                disabled={!selectedAnswer}
+                key={index}
+                className={`option-btn ${selectedAnswer === option ? 'selected' : ''}`}
+                onClick={() => handleSelectOption(option)}
               >
-                提交
-              </button>
-              <button className="btn btn-secondary" onClick={handleSkip}>
-                跳过
+                {option}
               </button>
-            </div>
+            ))}
           </div>
-        ) : (
-          <div className="answer-section">
-            <div className={`result ${isCorrect ? 'correct' : 'incorrect'}`}>
-              {isCorrect ? (
-                <div className="result-correct">
-                  <h3>✓ 正确！</h3>
-                </div>
-              ) : (
-                <div className="result-incorrect">
-                  <h3>✗ 错误</h3>
-                  <p>你的答案: <strong>{selectedAnswer}</strong></p>
-                  <p>正确答案: <strong>{currentWord.word}</strong></p>
-                </div>
-              )}
-            </div>
 
-            <div className="word-details">
-              <h3 className="word">{currentWord.word}</h3>
-              <p className="phonetic">{currentWord.phonetic}</p>
-              <p className="meaning">中文: {currentWord.meaning}</p>
-              <p className="example">完整句子: {currentWord.exampleSentence}</p>
-            </div>
-
-            <button className="btn btn-primary" onClick={handleNext}>
-              {currentIndex < words.length - 1 ? '下一个' : '完成'}
+          <div className="button-group">
+            <button
+              className="btn btn-success"
+              onClick={submitAnswer}
+              disabled={!selectedAnswer}
+            >
+              提交
+            </button>
+            <button className="btn btn-secondary" onClick={() => session.skip()}>
+              跳过
             </button>
           </div>
-        )}
-      </div>
-    </div>
+        </div>
+      )}
+      renderFeedback={({ correct, userAnswer }) => (
+        <>
+          <div className={`result ${correct ? 'correct' : 'incorrect'}`}>
+            {correct ? (
+              <div className="result-correct">
+                <h3>✓ 正确！</h3>
+              </div>
+            ) : (
+              <div className="result-incorrect">
+                <h3>✗ 错误</h3>
+                <p>你的答案: <strong>{userAnswer}</strong></p>
+                <p>正确答案: <strong>{currentWord.word}</strong></p>
+              </div>
+            )}
+          </div>
+
+          <div className="word-details">
+            <h3 className="word">{currentWord.word}</h3>
+            <p className="phonetic">{currentWord.phonetic}</p>
+            <p className="meaning">中文: {currentWord.meaning}</p>
+            {isInflected && <p className="meaning">句中形式: {form}</p>}
+            <p className="example">完整句子: {currentWord.exampleSentence}</p>
+          </div>
+        </>
+      )}
+    />
   );
 };
 
@@ -0,0 +1,74 @@
+import React from 'react';
+import FillBlank from './FillBlank';
+import { render, getButton, click, tick, chooseOption, getOptions, getProgress, TEST_WORDS } from '../testUtils';
+
+const renderQuiz = (props) => render(
+  <FillBlank words={TEST_WORDS} libraryWords={TEST_WORDS} timeLimit={0} onComplete={() => {}} {...props} />
+);
+
+describe('FillBlank', () => {
+  it('blanks the word out of its sentence and offers it among the options', () => {
+    const { container, unmount } = renderQuiz();
+
+    expect(container.querySelector('.sentence').textContent).toBe('She ate two ______ after lunch.');
+    expect(container.querySelector('.form-hint')).not.toBeNull();
+    expect(getOptions(container)).toContain('apple');
+    expect(getOptions(container)).toHaveLength(4);
+    unmount();
+  });
+
+  it('grades the chosen option', () => {
+    const { container, unmount } = renderQuiz();
+
+    chooseOption(container, 'apple');
+    click(getButton(container, '提交'));
+    expect(container.querySelector('.result-correct')).not.toBeNull();
+
+    click(getButton(container, '下一个'));
+    chooseOption(container, getOptions(container).find(o => o !== 'banana'));
+    click(getButton(container, '提交'));
+    expect(container.querySelector('.result-incorrect').textContent).toContain('正确答案: banana');
+    unmount();
+  });
+
+  describe('on timeout', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('submits the selected option with timeoutAction submit', () => {
+      const { container, unmount } = renderQuiz({ timeLimit: 5, timeoutAction: 'submit' });
+
+      chooseOption(container, 'apple');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).not.toBeNull();
+      unmount();
+    });
+
+    it('skips when nothing is selected with timeoutAction submit', () => {
+      const { container, unmount } = renderQuiz({ timeLimit: 5, timeoutAction: 'submit' });
+
+      tick(5);
+
+      expect(getProgress(container)).toBe('2 / 6');
+      expect(getOptions(container)).toContain('banana');
+      unmount();
+    });
+
+    it('skips with timeoutAction skip', () => {
+      const { container, unmount } = renderQuiz({ timeLimit: 5, timeoutAction: 'skip' });
+
+      chooseOption(container, 'apple');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).toBeNull();
+      expect(getProgress(container)).toBe('2 / 6');
+      unmount();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { parseWordFile, WORD_FIELDS } from '../utils/wordImport';
+import { saveCustomLibrary } from '../utils/customLibraries';
+
+/**
+ * ImportModal Component - Import a CSV/TSV/JSON word list as a user library
+ */
+const ImportModal = ({ onImported, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [libraryName, setLibraryName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [saveError, setSaveError] = useState('');
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFileName(file.name);
+      setLibraryName(file.name.replace(/\.[^.]+$/, ''));
+      setParsed(parseWordFile(reader.result, file.name));
+      setSaveError('');
+    };
+    reader.onerror = () => {
+      setParsed({ words: [], errors: [], fileError: '无法读取文件' });
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = () => {
+    if (!parsed || parsed.words.length === 0 || !libraryName.trim()) return;
+
+    const library = saveCustomLibrary(libraryName.trim(), parsed.words);
+    if (!library) {
+      setSaveError('保存失败，浏览器存储空间可能已满');
+      return;
+    }
+    onImported(library);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📥 导入单词表</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="import-body">
+          <p className="import-tip">
+            支持 CSV / TSV / JSON 文件，表头使用以下字段（word、meaning 和 unit 必填）：
+          </p>
+          <code className="import-fields">{WORD_FIELDS.join(', ')}</code>
+          <p className="import-tip">
+            forms 填写不规则变形，多个用分号分隔（如 built; building），规则变形会自动识别；
+            alternatives 填写其他正确拼写（如 color; colour）。
+          </p>
+
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.json"
+            className="import-file-input"
+            onChange={handleFileChange}
+          />
+
+          {parsed && parsed.fileError && (
+            <div className="error-message">
+              <p>{fileName}: {parsed.fileError}</p>
+            </div>
+          )}
+
+          {parsed && !parsed.fileError && (
+            <>
+              <div className="import-summary">
+                <span className="import-valid">✓ 有效 {parsed.words.length} 个</span>
+                {parsed.errors.length > 0 && (
+                  <span className="import-invalid">✗ 错误 {parsed.errors.length} 行</span>
+                )}
+              </div>
+
+              {parsed.errors.length > 0 && (
+                <div className="import-errors">
+                  {parsed.errors.map((error, index) => (
+                    <div key={index} className="import-error-item">
+                      第 {error.row} 行: {error.message}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {parsed.words.length > 0 && (
+                <div className="import-name">
+                  <label>词库名称:</label>
+                  <input
+                    type="text"
+                    value={libraryName}
+                    onChange={(e) => setLibraryName(e.target.value)}
+                    placeholder="例如：第3周听写"
+                  />
+                </div>
+              )}
+            </>
+          )}
+
+          {saveError && <p className="import-invalid">{saveError}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={!parsed || parsed.words.length === 0 || !libraryName.trim()}
+          >
+            保存为新词库
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
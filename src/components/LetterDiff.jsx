@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * LetterDiff Component - Show the correct word with the letters the student got wrong highlighted
+ */
+const LetterDiff = ({ diff }) => (
+  <div className="letter-diff">
+    <div className="letter-diff-letters">
+      {diff.map((op, index) => {
+        switch (op.type) {
+          case 'missing':
+            return <span key={index} className="diff-missing" title="漏写">{op.expected}</span>;
+          case 'extra':
+            return <span key={index} className="diff-extra" title="多写">{op.actual}</span>;
+          case 'wrong':
+          case 'swap':
+            return (
+              <span key={index} className={`diff-${op.type}`} title={`写成了 ${op.actual}`}>
+                {op.expected}
+              </span>
+            );
+          default:
+            return <span key={index} className="diff-match">{op.expected}</span>;
+        }
+      })}
+    </div>
+    <div className="letter-diff-legend">
+      <span className="diff-missing">漏写</span>
+      <span className="diff-extra">多写</span>
+      <span className="diff-wrong">写错</span>
+      <span className="diff-swap">顺序颠倒</span>
+    </div>
+  </div>
+);
+
+export default LetterDiff;
@@ -1,244 +1,175 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import useSpeech from '../hooks/useSpeech';
-import { generateLetterPuzzle, getHint, checkAnswer } from '../utils/wordHelpers';
-
-const TIMEOUT_SECONDS = 30;
+import useSession, { REQUEUE_POLICIES } from '../hooks/useSession';
+import { generateLetterPuzzle, getHint } from '../utils/wordHelpers';
+import { gradeAnswer, ERROR_TYPES } from '../utils/grading';
+import LetterDiff from './LetterDiff';
+import SessionShell from './SessionShell';
 
 /**
  * LetterPuzzle Component - Mode 3: Fill in the missing letters
  */
-const LetterPuzzle = ({ words: initialWords, onComplete }) => {
-  const [words, setWords] = useState(initialWords.map(w => ({ ...w, retryCount: 0, hintRetryCount: 0 })));
-  const [currentIndex, setCurrentIndex] = useState(0);
+const LetterPuzzle = ({
+  words,
+  partialCredit = false,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  libraryId,
+  onComplete
+}) => {
   const [puzzle, setPuzzle] = useState('');
   const [userInput, setUserInput] = useState('');
-  const [showAnswer, setShowAnswer] = useState(false);
-  const [isCorrect, setIsCorrect] = useState(null);
-  const [results, setResults] = useState([]);
-  const [hintsUsed, setHintsUsed] = useState(0);
-  const [elapsedTime, setElapsedTime] = useState(0);
-  const [isTimeout, setIsTimeout] = useState(false);
-  const timerRef = useRef(null);
-  const { speak } = useSpeech();
-
-  const currentWord = words[currentIndex];
-
-  // Timer effect
-  useEffect(() => {
-    if (!showAnswer && currentWord) {
-      setElapsedTime(0);
-      setIsTimeout(false);
-      timerRef.current = setInterval(() => {
-        setElapsedTime(prev => {
-          const newTime = prev + 1;
-          if (newTime >= TIMEOUT_SECONDS) {
-            setIsTimeout(true);
-          }
-          return newTime;
-        });
-      }, 1000);
-    }
-
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentIndex, showAnswer]);
+  const { speak } = useSpeech({ libraryId });
+  const session = useSession({
+    words,
+    requeue: REQUEUE_POLICIES.wrongOrHinted,
+    timeLimit,
+    timeoutAction,
+    exam,
+    paused,
+    onAutoSubmit: () => submitAnswer(),
+    onComplete
+  });
+  const { currentWord, currentIndex, hintsUsed, showAnswer } = session;
 
   useEffect(() => {
     if (currentWord) {
-      const puzzleWord = generateLetterPuzzle(currentWord.word);
+      let puzzleWord = generateLetterPuzzle(currentWord.word);
+      // 继续上次的练习时，把已经用过的提示重新揭开
+      for (let i = 0; i < hintsUsed; i++) {
+        puzzleWord = getHint(puzzleWord, currentWord.word);
+      }
       setPuzzle(puzzleWord);
-      setHintsUsed(0);
+      setUserInput('');
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentIndex]);
 
   const handlePlaySound = () => {
     if (currentWord) {
-      speak(currentWord.word, 'en-US', 0.7);
+      speak(currentWord.word);
     }
   };
 
   const handleHint = () => {
     const newPuzzle = getHint(puzzle, currentWord.word);
     setPuzzle(newPuzzle);
-    setHintsUsed(hintsUsed + 1);
+    session.addHint();
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!userInput.trim()) return;
-
-    // Stop the timer
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-
-    const correct = checkAnswer(userInput, currentWord.word);
-    setIsCorrect(correct);
-    setShowAnswer(true);
+  /**
+   * Grade and record the typed answer
+   * @returns {boolean} - False if nothing was typed
+   */
+  const submitAnswer = () => {
+    if (!userInput.trim()) return false;
 
-    // Record result
-    setResults([...results, {
-      word: currentWord.word,
-      correct: correct,
+    const result = gradeAnswer(userInput, currentWord, { partialCredit });
+    session.submit({
+      correct: result.correct,
       userAnswer: userInput,
-      hintsUsed: hintsUsed,
-      timeout: isTimeout
-    }]);
-  };
-
-  const handleNext = () => {
-    let updatedWords = [...words];
-    let needsUpdate = false;
-
-    // If answer was wrong and hasn't been retried yet, insert it again later
-    if (!isCorrect && currentWord.retryCount === 0) {
-      const insertPosition = Math.min(currentIndex + 3, updatedWords.length);
-      updatedWords.splice(insertPosition, 0, { ...currentWord, retryCount: 1, hintRetryCount: currentWord.hintRetryCount });
-      needsUpdate = true;
-    }
-    // If hints were used and hasn't been retried for hints yet, insert it again later
-    else if (hintsUsed > 0 && currentWord.hintRetryCount === 0 && isCorrect) {
-      const insertPosition = Math.min(currentIndex + 4, updatedWords.length);
-      updatedWords.splice(insertPosition, 0, { ...currentWord, retryCount: currentWord.retryCount, hintRetryCount: 1 });
-      needsUpdate = true;
-    }
-
-    if (needsUpdate) {
-      setWords(updatedWords);
-    }
-
-    if (currentIndex < (needsUpdate ? updatedWords.length : words.length) - 1) {
-      setCurrentIndex(currentIndex + 1);
-      setUserInput('');
-      setShowAnswer(false);
-      setIsCorrect(null);
-    } else {
-      // All words completed
-      if (onComplete) {
-        onComplete(results);
-      }
-    }
+      errorType: result.errorType,
+      score: result.score
+    }, result);
+    return true;
   };
 
-  const handleSkip = () => {
-    // Stop the timer
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-
-    setResults([...results, {
-      word: currentWord.word,
-      correct: false,
-      userAnswer: userInput || '(skipped)',
-      hintsUsed: hintsUsed,
-      timeout: isTimeout
-    }]);
-    handleNext();
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitAnswer();
   };
 
-  if (!currentWord) {
-    return <div className="loading">加载中...</div>;
-  }
-
-  const progress = Math.round(((currentIndex + 1) / words.length) * 100);
   const hasMoreHints = puzzle.includes('_');
 
   return (
-    <div className="letter-puzzle-container">
-      <div className="progress-bar">
-        <div className="progress-fill" style={{ width: `${progress}%` }}></div>
-        <span className="progress-text">{currentIndex + 1} / {words.length}</span>
-      </div>
-
-      <div className="game-content">
-        <h2>字母填空</h2>
-        <p className="instruction">根据提示填写完整的单词</p>
-
-        <div className="puzzle-display">
-          <h3 className="puzzle-word">{puzzle}</h3>
-          <p className="meaning-hint">中文提示: {currentWord.meaning}</p>
-          <p className="phonetic-hint">音标: {currentWord.phonetic}</p>
-        </div>
-
-        <div className="hint-controls">
-          <button
-            className="btn btn-hint"
-            onClick={handlePlaySound}
-          >
-            🔊 听发音
-          </button>
-          <button
-            className="btn btn-hint"
-            onClick={handleHint}
-            disabled={!hasMoreHints || showAnswer}
-          >
-            💡 提示 ({hintsUsed} 次)
-          </button>
-        </div>
-
-        {!showAnswer && (
-          <div className={`timer-display ${isTimeout ? 'timeout' : ''}`}>
-            <span className="timer-icon">⏱️</span>
-            <span className="timer-text">{elapsedTime}秒</span>
-            {isTimeout && <span className="timeout-warning">超时警告！请加快速度</span>}
+    <SessionShell
+      session={session}
+      className="letter-puzzle-container"
+      title="字母填空"
+      instruction="根据提示填写完整的单词"
+      renderPrompt={() => (
+        <>
+          <div className="puzzle-display">
+            <h3 className="puzzle-word">{puzzle}</h3>
+            <p className="meaning-hint">中文提示: {currentWord.meaning}</p>
+            <p className="phonetic-hint">音标: {currentWord.phonetic}</p>
           </div>
-        )}
 
-        {!showAnswer ? (
-          <form onSubmit={handleSubmit} className="input-form">
-            <input
-              type="text"
-              value={userInput}
-              onChange={(e) => setUserInput(e.target.value)}
-              placeholder="输入完整的单词"
-              className="word-input"
-              autoFocus
-              autoComplete="off"
-            />
-            <div className="button-group">
-              <button type="submit" className="btn btn-success" disabled={!userInput.trim()}>
-                提交
-              </button>
-              <button type="button" className="btn btn-secondary" onClick={handleSkip}>
-                跳过
+          <div className="hint-controls">
+            <button
+              className="btn btn-hint"
+              onClick={handlePlaySound}
+            >
+              🔊 听发音
+            </button>
+            {!exam && (
+              <button
+                className="btn btn-hint"
+                onClick={handleHint}
+                disabled={!hasMoreHints || showAnswer}
+              >
+                💡 提示 ({hintsUsed} 次)
               </button>
-            </div>
-          </form>
-        ) : (
-          <div className="answer-section">
-            <div className={`result ${isCorrect ? 'correct' : 'incorrect'}`}>
-              {isCorrect ? (
-                <div className="result-correct">
-                  <h3>✓ 正确！</h3>
-                  {hintsUsed > 0 && <p>使用了 {hintsUsed} 次提示</p>}
-                </div>
-              ) : (
-                <div className="result-incorrect">
-                  <h3>✗ 错误</h3>
-                  <p>你的答案: <strong>{userInput}</strong></p>
-                </div>
-              )}
-            </div>
-
-            <div className="word-details">
-              <h3 className="word">{currentWord.word}</h3>
-              <p className="phonetic">{currentWord.phonetic}</p>
-              <p className="meaning">中文: {currentWord.meaning}</p>
-              <p className="example">例句: {currentWord.exampleSentence}</p>
-            </div>
-
-            <button className="btn btn-primary" onClick={handleNext}>
-              {currentIndex < words.length - 1 ? '下一个' : '完成'}
+            )}
+          </div>
+        </>
+      )}
+      renderInput={() => (
+        <form onSubmit={handleSubmit} className="input-form">
+          <input
+            type="text"
+            value={userInput}
+            onChange={(e) => setUserInput(e.target.value)}
+            placeholder="输入完整的单词"
+            className="word-input"
+            autoFocus
+            autoComplete="off"
+          />
+          <div className="button-group">
+            <button type="submit" className="btn btn-success" disabled={!userInput.trim()}>
+              提交
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => session.skip(userInput)}>
+              跳过
             </button>
           </div>
-        )}
-      </div>
-    </div>
+        </form>
+      )}
+      renderFeedback={({ correct, userAnswer, detail: grade }) => (
+        <>
+          <div className={`result ${correct ? 'correct' : 'incorrect'}`}>
+            {correct ? (
+              <div className="result-correct">
+                <h3>✓ 正确！</h3>
+                {hintsUsed > 0 && <p>使用了 {hintsUsed} 次提示</p>}
+              </div>
+            ) : (
+              <div className="result-incorrect">
+                <h3>{grade.nearMiss ? '✗ 差一点' : '✗ 错误'}</h3>
+                <p>你的答案: <strong>{userAnswer}</strong></p>
+                <LetterDiff diff={grade.diff} />
+                <p className="error-type">
+                  {ERROR_TYPES[grade.errorType]}
+                  {grade.score > 0 && `，得 ${grade.score} 分`}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="word-details">
+            <h3 className="word">{currentWord.word}</h3>
+            {currentWord.alternatives && currentWord.alternatives.length > 0 && (
+              <p className="alternatives">也可写作: {currentWord.alternatives.join(' / ')}</p>
+            )}
+            <p className="phonetic">{currentWord.phonetic}</p>
+            <p className="meaning">中文: {currentWord.meaning}</p>
+            <p className="example">例句: {currentWord.exampleSentence}</p>
+          </div>
+        </>
+      )}
+    />
   );
 };
 
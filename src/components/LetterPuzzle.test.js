@@ -0,0 +1,64 @@
+import React from 'react';
+import LetterPuzzle from './LetterPuzzle';
+import { render, getButton, click, typeAnswer, TEST_WORDS } from '../testUtils';
+
+jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+
+// 按中文提示找出当前的单词
+const askedWord = (container) => {
+  const meaning = container.querySelector('.meaning-hint').textContent.replace('中文提示: ', '');
+  return TEST_WORDS.find(w => w.meaning === meaning).word;
+};
+
+// 把剩下的题目都答对，返回出题的顺序
+const answerRest = (container, onComplete) => {
+  const asked = [];
+  while (onComplete.mock.calls.length === 0) {
+    asked.push(askedWord(container));
+    typeAnswer(container, asked[asked.length - 1]);
+    click(getButton(container, /下一个|完成/));
+  }
+  return asked;
+};
+
+describe('LetterPuzzle', () => {
+  it('asks a word answered with a hint again four questions later', () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(<LetterPuzzle words={TEST_WORDS} timeLimit={0} onComplete={onComplete} />);
+
+    click(getButton(container, /提示/));
+    typeAnswer(container, 'apple');
+    expect(container.textContent).toContain('使用了 1 次提示');
+    click(getButton(container, '下一个'));
+
+    expect(answerRest(container, onComplete)).toEqual(['banana', 'cherry', 'grape', 'apple', 'lemon']);
+    unmount();
+  });
+
+  it('asks a wrong answer again three questions later', () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(<LetterPuzzle words={TEST_WORDS} timeLimit={0} onComplete={onComplete} />);
+
+    typeAnswer(container, 'appel');
+    click(getButton(container, '下一个'));
+
+    expect(answerRest(container, onComplete)).toEqual(['banana', 'cherry', 'apple', 'grape', 'lemon']);
+    unmount();
+  });
+
+  it('never asks a word twice in an exam and offers no hints', () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <LetterPuzzle words={TEST_WORDS} exam={{ minutes: 10 }} onComplete={onComplete} />
+    );
+
+    expect(getButton(container, /提示/)).toBeUndefined();
+    // 考试不显示答案，提交后直接进入下一题
+    TEST_WORDS.forEach(() => typeAnswer(container, 'wrong'));
+
+    const results = onComplete.mock.calls[0][0];
+    expect(results.map(r => r.word)).toEqual(TEST_WORDS.map(w => w.word));
+    expect(results.every(r => !r.correct)).toBe(true);
+    unmount();
+  });
+});
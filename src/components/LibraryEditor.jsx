@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import { loadEditableLibrary, saveLibraryEdits } from '../utils/libraryLoader';
+import { hasOverlay, clearOverlay } from '../utils/libraryOverlays';
+import { normalizeWordEntry, parseList } from '../utils/wordImport';
+import { sentenceContainsWord, findSentenceIssues, DIFFICULTY_LEVELS, PARTS_OF_SPEECH } from '../utils/wordHelpers';
+
+// 每次渲染的行数，避免一次渲染整本词库
+const PAGE_SIZE = 50;
+
+/**
+ * Validate one editor row
+ * @param {Object} item - Editor row
+ * @returns {string|null} - Error message or null
+ */
+const validateItem = (item) => {
+  const result = normalizeWordEntry(item);
+  return result.error || null;
+};
+
+/**
+ * Convert an editor row to a word object, with the forms and alternatives being typed applied
+ * @param {Object} item - Editor row
+ * @returns {Object} - Word object
+ */
+const toWord = ({ formsText, alternativesText, ...item }) => ({
+  ...item,
+  forms: parseList(formsText),
+  alternatives: parseList(alternativesText)
+});
+
+/**
+ * LibraryEditor Component - Search, edit, add and delete the words of a library
+ */
+const LibraryEditor = ({ library, onClose }) => {
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'error'
+  const [search, setSearch] = useState('');
+  const [onlySentenceIssues, setOnlySentenceIssues] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [isDirty, setIsDirty] = useState(false);
+  const [saveMessage, setSaveMessage] = useState('');
+  const [nextId, setNextId] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    loadEditableLibrary(library.id)
+      .then(words => {
+        if (cancelled) return;
+        setItems(words.map((w, index) => ({
+          ...w,
+          formsText: Array.isArray(w.forms) ? w.forms.join('; ') : '',
+          alternativesText: Array.isArray(w.alternatives) ? w.alternatives.join('; ') : '',
+          _id: index
+        })));
+        setNextId(words.length);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error loading library for editing:', error);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [library.id]);
+
+  const updateItem = (id, field, value) => {
+    setItems(items.map(item => (item._id === id ? { ...item, [field]: value } : item)));
+    setIsDirty(true);
+    setSaveMessage('');
+  };
+
+  const handleAdd = () => {
+    const newItem = {
+      _id: nextId,
+      baseWord: null,
+      word: '',
+      phonetic: '',
+      meaning: '',
+      unit: 1,
+      page: null,
+      exampleSentence: '',
+      difficulty: 'basic',
+      formsText: '',
+      alternativesText: ''
+    };
+    setItems([newItem, ...items]);
+    setNextId(nextId + 1);
+    setSearch('');
+    setOnlySentenceIssues(false);
+    setIsDirty(true);
+  };
+
+  const handleDelete = (id) => {
+    const item = items.find(i => i._id === id);
+    if (item.word && !window.confirm(`确定要删除「${item.word}」吗？`)) return;
+    setItems(items.filter(i => i._id !== id));
+    setIsDirty(true);
+  };
+
+  const handleSave = () => {
+    const invalid = items.find(item => validateItem(item));
+    if (invalid) {
+      setSaveMessage(`无法保存：「${invalid.word || '新单词'}」${validateItem(invalid)}`);
+      return;
+    }
+
+    const seen = new Set();
+    const duplicate = items.find(item => {
+      const key = item.word.trim().toLowerCase();
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+    if (duplicate) {
+      setSaveMessage(`无法保存：单词「${duplicate.word}」重复`);
+      return;
+    }
+
+    // 保留词库中的其他字段，只用规范化后的值覆盖标准字段（清空的可选字段不保留）
+    const words = items.map(({ _id, formsText, alternativesText, partOfSpeech, forms, alternatives, ...item }) => ({
+      ...item,
+      ...normalizeWordEntry({ ...item, partOfSpeech, forms: formsText, alternatives: alternativesText }).word
+    }));
+    saveLibraryEdits(library.id, words).then(saved => {
+      if (saved) {
+        setIsDirty(false);
+        setSaveMessage('✓ 已保存');
+      } else {
+        setSaveMessage('保存失败，浏览器存储空间可能已满');
+      }
+    });
+  };
+
+  const handleClose = () => {
+    if (isDirty && !window.confirm('有未保存的修改，确定要离开吗？')) return;
+    onClose();
+  };
+
+  const handleReset = () => {
+    if (window.confirm('确定要放弃所有本地修改，恢复内置词库吗？')) {
+      clearOverlay(library.id);
+      onClose();
+    }
+  };
+
+  if (status === 'loading') {
+    return <div className="loading">加载中...</div>;
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="error-message">
+        <p>词库加载失败，无法编辑。</p>
+      </div>
+    );
+  }
+
+  const query = search.trim().toLowerCase();
+  const report = findSentenceIssues(items.filter(item => item.word.trim()).map(toWord));
+  const sentenceIssues = items.filter(item => !sentenceContainsWord(item.exampleSentence, toWord(item)));
+  const filteredItems = (onlySentenceIssues ? sentenceIssues : items).filter(item =>
+    !query ||
+    item.word.toLowerCase().includes(query) ||
+    item.meaning.includes(query)
+  );
+  const visibleItems = filteredItems.slice(0, visibleCount);
+
+  return (
+    <div className="library-editor">
+      <div className="editor-header">
+        <h2>✏️ 编辑词库: {library.name}</h2>
+        <div className="editor-toolbar">
+          <input
+            type="text"
+            className="editor-search"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setVisibleCount(PAGE_SIZE);
+            }}
+            placeholder="搜索单词或中文"
+          />
+          <label className="editor-filter">
+            <input
+              type="checkbox"
+              checked={onlySentenceIssues}
+              onChange={(e) => {
+                setOnlySentenceIssues(e.target.checked);
+                setVisibleCount(PAGE_SIZE);
+              }}
+            />
+            只看例句问题 ({sentenceIssues.length})
+          </label>
+          <button className="btn-text" onClick={() => setShowReport(!showReport)}>
+            📋 检查报告
+          </button>
+          <button className="btn btn-secondary" onClick={handleAdd}>+ 添加单词</button>
+        </div>
+        <p className="editor-count">共 {items.length} 个单词，显示 {visibleItems.length} / {filteredItems.length}</p>
+      </div>
+
+      {showReport && (
+        <div className="editor-report">
+          {report.length === 0 ? (
+            <p>✓ 所有单词的例句都包含该单词（或其变形）</p>
+          ) : (
+            <>
+              <p>
+                {report.length} 个单词的例句无法挖空。不规则变形（如 build → built）请填写在「变形」中。
+              </p>
+              <ul>
+                {report.map(issue => (
+                  <li key={issue.word}>
+                    <button
+                      className="btn-text"
+                      onClick={() => {
+                        setSearch(issue.word);
+                        setOnlySentenceIssues(false);
+                        setVisibleCount(PAGE_SIZE);
+                      }}
+                    >
+                      {issue.word}
+                    </button>
+                    <span className="editor-report-reason">{issue.reason}</span>
+                    {issue.exampleSentence && <span className="editor-report-sentence">{issue.exampleSentence}</span>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="editor-list">
+        {visibleItems.map(item => {
+          const error = validateItem(item);
+          const sentenceOk = sentenceContainsWord(item.exampleSentence, toWord(item));
+          return (
+            <div key={item._id} className={`editor-row ${error ? 'invalid' : ''}`}>
+              <div className="editor-fields">
+                <input
+                  type="text"
+                  className="editor-word"
+                  value={item.word}
+                  onChange={(e) => updateItem(item._id, 'word', e.target.value)}
+                  placeholder="单词"
+                />
+                <input
+                  type="text"
+                  value={item.phonetic || ''}
+                  onChange={(e) => updateItem(item._id, 'phonetic', e.target.value)}
+                  placeholder="音标"
+                />
+                <input
+                  type="text"
+                  value={item.meaning}
+                  onChange={(e) => updateItem(item._id, 'meaning', e.target.value)}
+                  placeholder="中文释义"
+                />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  className="editor-number"
+                  value={item.unit === null || item.unit === undefined ? '' : item.unit}
+                  onChange={(e) => updateItem(item._id, 'unit', e.target.value)}
+                  placeholder="单元"
+                  title="单元"
+                />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  className="editor-number"
+                  value={item.page === null || item.page === undefined ? '' : item.page}
+                  onChange={(e) => updateItem(item._id, 'page', e.target.value)}
+                  placeholder="页码"
+                  title="页码"
+                />
+                <select
+                  value={item.difficulty || 'basic'}
+                  onChange={(e) => updateItem(item._id, 'difficulty', e.target.value)}
+                >
+                  {Object.keys(DIFFICULTY_LEVELS).map(difficulty => (
+                    <option key={difficulty} value={difficulty}>{DIFFICULTY_LEVELS[difficulty]}</option>
+                  ))}
+                </select>
+                <select
+                  value={item.partOfSpeech || ''}
+                  onChange={(e) => updateItem(item._id, 'partOfSpeech', e.target.value)}
+                  title="词性"
+                >
+                  <option value="">词性</option>
+                  {Object.keys(PARTS_OF_SPEECH).map(pos => (
+                    <option key={pos} value={pos}>{PARTS_OF_SPEECH[pos]}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={item.formsText}
+                  onChange={(e) => updateItem(item._id, 'formsText', e.target.value)}
+                  placeholder="不规则变形，如 built; children"
+                  title="变形（用分号分隔，规则变形会自动识别）"
+                />
+                <input
+                  type="text"
+                  value={item.alternativesText}
+                  onChange={(e) => updateItem(item._id, 'alternativesText', e.target.value)}
+                  placeholder="其他拼写，如 color"
+                  title="其他正确拼写（用分号分隔）"
+                />
+                <button className="btn-text btn-danger" onClick={() => handleDelete(item._id)}>
+                  删除
+                </button>
+              </div>
+              <input
+                type="text"
+                className={`editor-sentence ${sentenceOk ? '' : 'warning'}`}
+                value={item.exampleSentence || ''}
+                onChange={(e) => updateItem(item._id, 'exampleSentence', e.target.value)}
+                placeholder="例句（需包含该单词）"
+              />
+              {!sentenceOk && (
+                <p className="editor-warning">⚠️ 例句中找不到该单词或其变形，句子填空时无法挖空</p>
+              )}
+              {error && <p className="editor-error">✗ {error}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      {visibleCount < filteredItems.length && (
+        <div className="editor-more">
+          <button className="btn-text" onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}>
+            显示更多
+          </button>
+        </div>
+      )}
+
+      <div className="editor-actions">
+        {saveMessage && <span className="editor-save-message">{saveMessage}</span>}
+        {!library.custom && hasOverlay(library.id) && (
+          <button className="btn btn-danger" onClick={handleReset}>恢复内置词库</button>
+        )}
+        <button className="btn btn-secondary" onClick={handleClose}>返回</button>
+        <button className="btn btn-success" onClick={handleSave} disabled={!isDirty}>保存</button>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryEditor;
@@ -0,0 +1,94 @@
+import React from 'react';
+import ListenSpell from './ListenSpell';
+import { render, getButton, click, type, tick, typeAnswer, getProgress, TEST_WORDS } from '../testUtils';
+
+jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+
+describe('ListenSpell', () => {
+  it('shows the letter diff of a wrong spelling and asks the word again three questions later', () => {
+    const { container, unmount } = render(<ListenSpell words={TEST_WORDS} timeLimit={0} onComplete={() => {}} />);
+
+    typeAnswer(container, 'aple');
+    expect(container.querySelector('.result-incorrect strong').textContent).toBe('aple');
+    expect(container.querySelector('.letter-diff')).not.toBeNull();
+    expect(container.querySelector('.word-details .word').textContent).toBe('apple');
+    click(getButton(container, '下一个'));
+    expect(getProgress(container)).toBe('2 / 6');
+
+    ['banana', 'cherry'].forEach(word => {
+      typeAnswer(container, word);
+      click(getButton(container, '下一个'));
+    });
+    typeAnswer(container, 'apple');
+    expect(container.querySelector('.word-details .word').textContent).toBe('apple');
+    expect(container.querySelector('.result-correct')).not.toBeNull();
+    unmount();
+  });
+
+  it('records what was typed when a word is skipped', () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <ListenSpell words={TEST_WORDS.slice(0, 1)} timeLimit={0} onComplete={onComplete} />
+    );
+
+    type(container.querySelector('.word-input'), 'ap');
+    click(getButton(container, '跳过'));
+    // 跳过的单词会在后面再出现一次
+    click(getButton(container, '跳过'));
+
+    const results = onComplete.mock.calls[0][0];
+    expect(results[0]).toMatchObject({ word: 'apple', correct: false, userAnswer: 'ap', errorType: 'skipped' });
+    expect(results).toHaveLength(2);
+    unmount();
+  });
+
+  describe('on timeout', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('submits the typed spelling with timeoutAction submit', () => {
+      const { container, unmount } = render(
+        <ListenSpell words={TEST_WORDS} timeLimit={5} timeoutAction="submit" onComplete={() => {}} />
+      );
+
+      type(container.querySelector('.word-input'), 'apple');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).not.toBeNull();
+      expect(getProgress(container)).toBe('1 / 5');
+      unmount();
+    });
+
+    it('skips an empty answer with timeoutAction submit', () => {
+      const { container, unmount } = render(
+        <ListenSpell words={TEST_WORDS} timeLimit={5} timeoutAction="submit" onComplete={() => {}} />
+      );
+
+      tick(5);
+
+      expect(container.querySelector('.word-input')).not.toBeNull();
+      expect(getProgress(container)).toBe('2 / 6');
+      unmount();
+    });
+
+    it('skips with timeoutAction skip even when something was typed', () => {
+      const onComplete = jest.fn();
+      const { container, unmount } = render(
+        <ListenSpell words={TEST_WORDS.slice(0, 1)} timeLimit={5} timeoutAction="skip" onComplete={onComplete} />
+      );
+
+      type(container.querySelector('.word-input'), 'appl');
+      tick(5);
+      tick(5);
+
+      const [first] = onComplete.mock.calls[0][0];
+      expect(first).toMatchObject({ word: 'apple', userAnswer: '(skipped)', timeout: true, timeSpent: 5 });
+      unmount();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { getLibraryAttempts, summarizeWordRecord } from '../utils/wordRecords';
+import { getMasteryMap, MASTERY_LEVELS, MASTERED_STREAK } from '../utils/mastery';
+import { formatDate } from '../utils/storageHelper';
+import { ERROR_TYPES } from '../utils/grading';
+
+// 单词详情里最多显示的作答记录条数
+const MAX_SHOWN_ATTEMPTS = 20;
+
+/**
+ * MasteryMap Component - Every word of the library by unit, coloured by mastery,
+ * with the attempt history of a word and practice on the selected words
+ */
+const MasteryMap = ({ library, words, modeNames, onStart }) => {
+  const [activeWord, setActiveWord] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [mode, setMode] = useState(Object.keys(modeNames)[0]);
+
+  const units = getMasteryMap(words, getLibraryAttempts(library.id));
+  const allWords = units.flatMap(u => u.words);
+  const active = allWords.find(w => w.word === activeWord);
+  const totalMastered = units.reduce((sum, u) => sum + u.counts.mastered, 0);
+
+  const toggleSelected = (word) => {
+    setSelected(selected.includes(word)
+      ? selected.filter(w => w !== word)
+      : [...selected, word]);
+  };
+
+  // 选中本单元所有未掌握的单词
+  const selectUnmastered = (unit) => {
+    const unmastered = unit.words.filter(w => w.level !== 'mastered').map(w => w.word);
+    setSelected([...new Set([...selected, ...unmastered])]);
+  };
+
+  const handleStart = () => {
+    onStart(mode, words.filter(w => selected.includes(w.word)));
+  };
+
+  return (
+    <div className="mastery-map">
+      <div className="editor-header">
+        <h2>🗺️ 掌握情况: {library.name}</h2>
+        <p className="editor-count">
+          已掌握 {totalMastered} / {allWords.length} 个单词（连续 {MASTERED_STREAK} 次不用提示答对即为掌握）
+        </p>
+        <div className="mastery-legend">
+          {Object.entries(MASTERY_LEVELS).map(([level, name]) => (
+            <span key={level} className={`mastery-word ${level}`}>{name}</span>
+          ))}
+        </div>
+      </div>
+
+      <div className="mastery-body">
+        <div className="mastery-units">
+          {units.map(unit => (
+            <div key={unit.unit === null ? 'none' : unit.unit} className="mastery-unit">
+              <div className="mastery-unit-header">
+                <span className="mastery-unit-name">{unit.unit === null ? '未分单元' : `Unit ${unit.unit}`}</span>
+                <div className="mastery-progress" title={`已掌握 ${unit.counts.mastered} / ${unit.words.length}`}>
+                  <div className="mastery-progress-fill" style={{ width: `${unit.completion}%` }} />
+                </div>
+                <span className="mastery-unit-rate">{unit.completion}%</span>
+                <button className="btn-text" onClick={() => selectUnmastered(unit)}>
+                  选中未掌握
+                </button>
+              </div>
+              <div className="mastery-words">
+                {unit.words.map(w => (
+                  <button
+                    key={w.word}
+                    className={`mastery-word ${w.level} ${selected.includes(w.word) ? 'selected' : ''} ${w.word === activeWord ? 'active' : ''}`}
+                    onClick={() => setActiveWord(w.word)}
+                    title={`${w.meaning} · ${MASTERY_LEVELS[w.level]}`}
+                  >
+                    {w.word}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {active && (
+          <WordAttempts
+            word={active}
+            modeNames={modeNames}
+            isSelected={selected.includes(active.word)}
+            onToggle={() => toggleSelected(active.word)}
+          />
+        )}
+      </div>
+
+      <div className="mastery-actions">
+        <span>已选 {selected.length} 个单词</span>
+        {selected.length > 0 && (
+          <button className="btn-text" onClick={() => setSelected([])}>清空</button>
+        )}
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          {Object.entries(modeNames).map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <button className="btn btn-primary" onClick={handleStart} disabled={selected.length === 0}>
+          开始练习
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Attempt history of one word
+ */
+const WordAttempts = ({ word, modeNames, isSelected, onToggle }) => {
+  const summary = summarizeWordRecord(word.word, { attempts: word.attempts });
+  const shown = word.attempts.slice(-MAX_SHOWN_ATTEMPTS).reverse();
+
+  return (
+    <div className="mastery-detail">
+      <div className="mastery-detail-header">
+        <h3>{word.word}</h3>
+        <span className={`mastery-word ${word.level}`}>{MASTERY_LEVELS[word.level]}</span>
+      </div>
+      <p className="meaning">{word.meaning}</p>
+      {summary.total > 0 && (
+        <p className="editor-count">
+          共 {summary.total} 次，正确 {summary.correct} 次 ({summary.accuracy}%)
+          {summary.mainErrorType && `，常见错误: ${ERROR_TYPES[summary.mainErrorType]}`}
+        </p>
+      )}
+      <button className={`btn ${isSelected ? 'btn-secondary' : 'btn-success'}`} onClick={onToggle}>
+        {isSelected ? '取消选中' : '选中练习'}
+      </button>
+
+      {shown.length > 0 ? (
+        <ul className="mastery-attempts">
+          {shown.map((a, index) => (
+            <li key={index} className={a.correct ? 'correct' : 'incorrect'}>
+              <span className="result-icon">{a.correct ? '✓' : '✗'}</span>
+              <span className="mastery-attempt-mode">{modeNames[a.mode] || a.mode}</span>
+              {!a.correct && <span className="mastery-attempt-answer">{a.userAnswer}</span>}
+              {a.hintsUsed > 0 && <span className="badge badge-hint">💡{a.hintsUsed}</span>}
+              {a.timeout && <span className="badge badge-timeout">⏱️</span>}
+              <span className="missed-time">{formatDate(a.timestamp)}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="editor-count">还没有练过这个单词</p>
+      )}
+    </div>
+  );
+};
+
+export default MasteryMap;
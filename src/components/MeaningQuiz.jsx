@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import useSpeech from '../hooks/useSpeech';
+import useSession from '../hooks/useSession';
+import { generateWrongOptions, shuffleArray, checkAnswer } from '../utils/wordHelpers';
+import SessionShell from './SessionShell';
+
+// 出题方向
+export const QUIZ_DIRECTIONS = {
+  MEANING_TO_WORD: 'meaning-to-word', // 中译英：看中文选单词
+  WORD_TO_MEANING: 'word-to-meaning' // 英译中：看单词选中文
+};
+
+// 每题的错误选项数量
+const WRONG_OPTION_COUNT = 3;
+
+/**
+ * Words that may be offered as wrong options: a different meaning than the
+ * target, and only one word per meaning (two options must not look alike)
+ * @param {Array} pool - Candidate word objects, preferred ones first
+ * @param {Object} target - Word object being asked
+ * @returns {Array} - Candidate word objects
+ */
+const getOptionCandidates = (pool, target) => pool.filter((w, index) =>
+  w.word !== target.word &&
+  w.meaning !== target.meaning &&
+  pool.findIndex(other => other.meaning === w.meaning) === index
+);
+
+/**
+ * MeaningQuiz Component - Multiple choice between the Chinese meaning and the English word
+ */
+const MeaningQuiz = ({
+  words,
+  libraryWords = [],
+  direction = QUIZ_DIRECTIONS.MEANING_TO_WORD,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  libraryId,
+  onComplete
+}) => {
+  const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [options, setOptions] = useState([]);
+  const { speak } = useSpeech({ libraryId });
+  const session = useSession({
+    words,
+    timeLimit,
+    timeoutAction,
+    exam,
+    paused,
+    onAutoSubmit: () => submitAnswer(),
+    onComplete
+  });
+  const { currentWord, currentIndex, showAnswer } = session;
+  const toMeaning = direction === QUIZ_DIRECTIONS.WORD_TO_MEANING;
+  const correctOption = currentWord && (toMeaning ? currentWord.meaning : currentWord.word);
+
+  useEffect(() => {
+    if (currentWord) {
+      const candidates = getOptionCandidates([...words, ...libraryWords], currentWord);
+      const inSession = (w) => words.some(s => s.word === w.word);
+      let wrongWords = generateWrongOptions(candidates.filter(inSession), currentWord.word, WRONG_OPTION_COUNT);
+      // 本次单词太少（如错题练习只有一两个词）时，从整个词库补足选项
+      if (wrongWords.length < WRONG_OPTION_COUNT) {
+        wrongWords = [
+          ...wrongWords,
+          ...generateWrongOptions(
+            candidates.filter(w => !inSession(w)),
+            currentWord.word,
+            WRONG_OPTION_COUNT - wrongWords.length
+          )
+        ];
+      }
+      const wrongOpts = toMeaning
+        ? wrongWords.map(word => candidates.find(w => w.word === word).meaning)
+        : wrongWords;
+      setOptions(shuffleArray([correctOption, ...wrongOpts]));
+      setSelectedAnswer('');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentIndex]);
+
+  const handlePlaySound = () => {
+    if (currentWord) {
+      speak(currentWord.word);
+    }
+  };
+
+  const handleSelectOption = (option) => {
+    if (showAnswer) return; // Prevent changing after submission
+    setSelectedAnswer(option);
+  };
+
+  /**
+   * Record the selected option
+   * @returns {boolean} - False if nothing was selected
+   */
+  const submitAnswer = () => {
+    if (!selectedAnswer) return false;
+
+    session.submit({
+      correct: checkAnswer(selectedAnswer, correctOption),
+      userAnswer: selectedAnswer
+    });
+    return true;
+  };
+
+  return (
+    <SessionShell
+      session={session}
+      className="meaning-quiz-container"
+      title={toMeaning ? '英译中' : '中译英'}
+      instruction={toMeaning ? '选择单词的中文意思' : '根据中文意思选择正确的单词'}
+      renderPrompt={() => (
+        <>
+          <div className="puzzle-display">
+            {toMeaning ? (
+              <>
+                <h3 className="quiz-prompt-word">{currentWord.word}</h3>
+                <p className="phonetic-hint">{currentWord.phonetic}</p>
+              </>
+            ) : (
+              <h3 className="quiz-prompt-meaning">{currentWord.meaning}</h3>
+            )}
+          </div>
+
+          {toMeaning && (
+            <div className="hint-controls">
+              <button className="btn btn-hint" onClick={handlePlaySound}>
+                🔊 听发音
+              </button>
+            </div>
+          )}
+        </>
+      )}
+      renderInput={() => (
+        <div className="options-section">
+          <div className="options-grid">
+            {options.map((option, index) => (
+              <button
+                key={index}
+                className={`option-btn ${selectedAnswer === option ? 'selected' : ''}`}
+                onClick={() => handleSelectOption(option)}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+
+          <div className="button-group">
+            <button
+              className="btn btn-success"
+              onClick={submitAnswer}
+              disabled={!selectedAnswer}
+            >
+              提交
+            </button>
+            <button className="btn btn-secondary" onClick={() => session.skip()}>
+              跳过
+            </button>
+          </div>
+        </div>
+      )}
+      renderFeedback={({ correct, userAnswer }) => (
+        <>
+          <div className={`result ${correct ? 'correct' : 'incorrect'}`}>
+            {correct ? (
+              <div className="result-correct">
+                <h3>✓ 正确！</h3>
+              </div>
+            ) : (
+              <div className="result-incorrect">
+                <h3>✗ 错误</h3>
+                <p>你的答案: <strong>{userAnswer}</strong></p>
+                <p>正确答案: <strong>{correctOption}</strong></p>
+              </div>
+            )}
+          </div>
+
+          <div className="word-details">
+            <h3 className="word">{currentWord.word}</h3>
+            <p className="phonetic">{currentWord.phonetic}</p>
+            <p className="meaning">中文: {currentWord.meaning}</p>
+            <p className="example">例句: {currentWord.exampleSentence}</p>
+          </div>
+        </>
+      )}
+    />
+  );
+};
+
+export default MeaningQuiz;
@@ -0,0 +1,122 @@
+import React from 'react';
+import MeaningQuiz, { QUIZ_DIRECTIONS } from './MeaningQuiz';
+import { render, getButton, click, tick, chooseOption, getOptions, TEST_WORDS } from '../testUtils';
+
+jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+
+describe('MeaningQuiz options', () => {
+  it('fills a one-word session up to four options from the library', () => {
+    const { container, unmount } = render(
+      <MeaningQuiz words={TEST_WORDS.slice(0, 1)} libraryWords={TEST_WORDS} timeLimit={0} onComplete={() => {}} />
+    );
+    const options = getOptions(container);
+    expect(options).toHaveLength(4);
+    expect(options).toContain('apple');
+    expect(new Set(options).size).toBe(4);
+    unmount();
+  });
+
+  it('never offers a second word with the same meaning', () => {
+    const library = [
+      ...TEST_WORDS.slice(0, 2),
+      { word: 'autumn', meaning: '秋天', unit: 1 },
+      { word: 'fall', meaning: '秋天', unit: 1 }
+    ];
+    const { container, unmount } = render(
+      <MeaningQuiz
+        words={library.slice(0, 1)}
+        libraryWords={library}
+        direction={QUIZ_DIRECTIONS.WORD_TO_MEANING}
+        timeLimit={0}
+        onComplete={() => {}}
+      />
+    );
+    const options = getOptions(container);
+    expect(options.filter(o => o === '秋天')).toHaveLength(1);
+    expect(options).toHaveLength(3);
+    unmount();
+  });
+
+  it('prefers the session words when there are enough of them', () => {
+    const { container, unmount } = render(
+      <MeaningQuiz words={TEST_WORDS.slice(0, 4)} libraryWords={TEST_WORDS} timeLimit={0} onComplete={() => {}} />
+    );
+    expect(getOptions(container)).not.toContain('lemon');
+    unmount();
+  });
+});
+
+describe('MeaningQuiz answers', () => {
+  it('grades the chosen meaning and shows the right one after a mistake', () => {
+    const { container, unmount } = render(
+      <MeaningQuiz
+        words={TEST_WORDS}
+        direction={QUIZ_DIRECTIONS.WORD_TO_MEANING}
+        timeLimit={0}
+        onComplete={() => {}}
+      />
+    );
+
+    chooseOption(container, '苹果');
+    click(getButton(container, '提交'));
+    expect(container.querySelector('.result-correct')).not.toBeNull();
+
+    click(getButton(container, '下一个'));
+    chooseOption(container, getOptions(container).find(o => o !== '香蕉'));
+    click(getButton(container, '提交'));
+    expect(container.querySelector('.result-incorrect').textContent).toContain('正确答案: 香蕉');
+    unmount();
+  });
+
+  it('never asks a word twice in an exam', () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <MeaningQuiz words={TEST_WORDS} exam={{ minutes: 10 }} onComplete={onComplete} />
+    );
+
+    TEST_WORDS.forEach(w => {
+      chooseOption(container, getOptions(container).find(o => o !== w.word));
+      click(getButton(container, '提交'));
+    });
+
+    const results = onComplete.mock.calls[0][0];
+    expect(results.map(r => r.word)).toEqual(TEST_WORDS.map(w => w.word));
+    unmount();
+  });
+
+  describe('on timeout', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('submits the selected option with timeoutAction submit', () => {
+      const { container, unmount } = render(
+        <MeaningQuiz words={TEST_WORDS} timeLimit={5} timeoutAction="submit" onComplete={() => {}} />
+      );
+
+      chooseOption(container, 'apple');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).not.toBeNull();
+      unmount();
+    });
+
+    it('skips with timeoutAction skip', () => {
+      const onComplete = jest.fn();
+      const { container, unmount } = render(
+        <MeaningQuiz words={TEST_WORDS.slice(0, 2)} timeLimit={5} timeoutAction="skip" onComplete={onComplete} />
+      );
+
+      chooseOption(container, 'apple');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).toBeNull();
+      expect(getOptions(container)).toContain('banana');
+      unmount();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import {
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  updateProfile,
+  switchProfile,
+  deleteProfile,
+  PROFILE_AVATARS
+} from '../utils/profiles';
+
+/**
+ * ProfileModal Component - Create, rename, switch and delete learner profiles
+ */
+const ProfileModal = ({ onSwitched, onClose }) => {
+  const [profiles, setProfiles] = useState(getProfiles);
+  const [activeId, setActiveId] = useState(() => getActiveProfile().id);
+  const [editingId, setEditingId] = useState(null); // profile id, 'new' or null
+  const [name, setName] = useState('');
+  const [avatar, setAvatar] = useState(PROFILE_AVATARS[0]);
+
+  const refresh = () => {
+    setProfiles(getProfiles());
+    setActiveId(getActiveProfile().id);
+  };
+
+  const startEdit = (profile) => {
+    setEditingId(profile ? profile.id : 'new');
+    setName(profile ? profile.name : '');
+    setAvatar(profile ? profile.avatar : PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length]);
+  };
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    if (editingId === 'new') {
+      createProfile(name.trim(), avatar);
+    } else {
+      updateProfile(editingId, { name: name.trim(), avatar });
+    }
+    setEditingId(null);
+    refresh();
+  };
+
+  const handleSwitch = (profileId) => {
+    if (profileId === activeId) return;
+    switchProfile(profileId);
+    onSwitched();
+  };
+
+  const handleDelete = (profile) => {
+    if (!window.confirm(`确定要删除「${profile.name}」及其所有学习记录吗？此操作无法撤销。`)) return;
+    const wasActive = profile.id === activeId;
+    if (deleteProfile(profile.id)) {
+      if (wasActive) {
+        onSwitched();
+      } else {
+        refresh();
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content profile-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>👥 学习者</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="history-list-container">
+          <div className="history-list">
+            {profiles.map(profile => (
+              <div
+                key={profile.id}
+                className={`history-item profile-item ${profile.id === activeId ? 'active' : ''}`}
+              >
+                <button className="profile-switch" onClick={() => handleSwitch(profile.id)}>
+                  <span className="profile-avatar">{profile.avatar}</span>
+                  <span className="history-mode">{profile.name}</span>
+                  {profile.id === activeId && <span className="profile-current">当前</span>}
+                </button>
+                <div className="history-stats">
+                  <button className="btn-text" onClick={() => startEdit(profile)}>编辑</button>
+                  {profiles.length > 1 && (
+                    <button className="btn-text btn-danger" onClick={() => handleDelete(profile)}>删除</button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {editingId ? (
+            <div className="profile-form">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="名字"
+                maxLength={20}
+                autoFocus
+              />
+              <div className="profile-avatars">
+                {PROFILE_AVATARS.map(a => (
+                  <button
+                    key={a}
+                    className={`profile-avatar-option ${a === avatar ? 'selected' : ''}`}
+                    onClick={() => setAvatar(a)}
+                  >
+                    {a}
+                  </button>
+                ))}
+              </div>
+              <div className="button-group">
+                <button className="btn btn-success" onClick={handleSave} disabled={!name.trim()}>
+                  保存
+                </button>
+                <button className="btn btn-secondary" onClick={() => setEditingId(null)}>
+                  取消
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="profile-add">
+              <button className="btn btn-primary" onClick={() => startEdit(null)}>+ 添加学习者</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileModal;
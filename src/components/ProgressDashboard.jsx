@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { getLibraryAttempts } from '../utils/wordRecords';
+import {
+  RANGE_PRESETS,
+  toDateKey,
+  getPresetRange,
+  filterHistory,
+  getHistoryTotals,
+  getDailyStats,
+  getModeBreakdown,
+  getUnitBreakdown,
+  getStudyStreak,
+  getStudyCalendar
+} from '../utils/historyStats';
+
+// 图表的坐标尺寸（SVG 按宽度自动缩放）
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 34 };
+
+const CHART_COLORS = {
+  accuracy: '#339af0',
+  words: '#51cf66',
+  hints: '#f08c00',
+  timeouts: '#e03131'
+};
+
+/**
+ * Short label of a date key, e.g. '10/19'
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+const shortDate = (date) => `${Number(date.slice(5, 7))}/${Number(date.slice(8, 10))}`;
+
+/**
+ * Indexes of the x-axis labels, at most about six so they do not overlap
+ * @param {number} count - Number of points
+ * @returns {Array} - Indexes to label
+ */
+const labelIndexes = (count) => {
+  const step = Math.max(1, Math.ceil(count / 6));
+  const indexes = [];
+  for (let i = 0; i < count; i += step) indexes.push(i);
+  if (indexes[indexes.length - 1] !== count - 1) indexes.push(count - 1);
+  return indexes;
+};
+
+/**
+ * Axes, grid lines and date labels shared by the day charts
+ */
+const ChartFrame = ({ days, max, unit, children }) => {
+  const innerHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (days.length > 1
+    ? (i * (CHART_WIDTH - PADDING.left - PADDING.right)) / (days.length - 1)
+    : (CHART_WIDTH - PADDING.left - PADDING.right) / 2);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img">
+      {[0, 0.5, 1].map(f => {
+        const y = PADDING.top + innerHeight * (1 - f);
+        return (
+          <g key={f}>
+            <line className="chart-grid" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y} y2={y} />
+            <text className="chart-label" x={PADDING.left - 4} y={y + 4} textAnchor="end">
+              {Math.round(max * f)}{unit}
+            </text>
+          </g>
+        );
+      })}
+      {labelIndexes(days.length).map(i => (
+        <text key={i} className="chart-label" x={x(i)} y={CHART_HEIGHT - 6} textAnchor="middle">
+          {shortDate(days[i].date)}
+        </text>
+      ))}
+      {children(x, (value) => PADDING.top + innerHeight * (1 - value / max))}
+    </svg>
+  );
+};
+
+/**
+ * Line chart of percentages per day; days without data break the line
+ * @param {Array} days - Daily stats
+ * @param {Array} series - Array of {key, name, color}
+ */
+const TrendChart = ({ days, series }) => (
+  <>
+    <ChartFrame days={days} max={100} unit="%">
+      {(x, y) => series.map(({ key, color }) => {
+        let path = '';
+        let pen = 'M';
+        days.forEach((day, i) => {
+          if (day[key] === null) {
+            pen = 'M';
+            return;
+          }
+          path += `${pen}${x(i).toFixed(1)},${y(day[key]).toFixed(1)} `;
+          pen = 'L';
+        });
+        return (
+          <g key={key}>
+            <path d={path} fill="none" stroke={color} strokeWidth="2" />
+            {days.map((day, i) => day[key] !== null && (
+              <circle key={i} cx={x(i)} cy={y(day[key])} r="3" fill={color}>
+                <title>{`${day.date}: ${day[key]}%`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </ChartFrame>
+    {series.length > 1 && (
+      <div className="chart-legend">
+        {series.map(({ key, name, color }) => (
+          <span key={key}><i style={{ background: color }} />{name}</span>
+        ))}
+      </div>
+    )}
+  </>
+);
+
+/**
+ * Column chart of words practised per day
+ * @param {Array} days - Daily stats
+ */
+const WordsChart = ({ days }) => {
+  const max = Math.max(10, ...days.map(d => d.words));
+  const slot = (CHART_WIDTH - PADDING.left - PADDING.right) / days.length;
+  const barWidth = Math.max(2, Math.min(24, slot * 0.7));
+
+  return (
+    <ChartFrame days={days} max={max} unit="">
+      {(x, y) => days.map((day, i) => day.words > 0 && (
+        <rect
+          key={i}
+          x={x(i) - barWidth / 2}
+          y={y(day.words)}
+          width={barWidth}
+          height={y(0) - y(day.words)}
+          fill={CHART_COLORS.words}
+        >
+          <title>{`${day.date}: ${day.words} 题，${day.sessions} 次`}</title>
+        </rect>
+      ))}
+    </ChartFrame>
+  );
+};
+
+/**
+ * Horizontal bars of accuracy, one row per mode or unit
+ * @param {Array} rows - Array of {label, accuracy, note}
+ */
+const BreakdownChart = ({ rows }) => {
+  const rowHeight = 26;
+  const labelWidth = 130;
+  const barMax = CHART_WIDTH - labelWidth - 110;
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${CHART_WIDTH} ${rows.length * rowHeight}`} role="img">
+      {rows.map((row, i) => (
+        <g key={row.label} transform={`translate(0, ${i * rowHeight})`}>
+          <text className="chart-row-label" x={labelWidth - 8} y={17} textAnchor="end">{row.label}</text>
+          <rect className="chart-track" x={labelWidth} y={6} width={barMax} height={14} rx="3" />
+          <rect
+            x={labelWidth}
+            y={6}
+            width={(barMax * (row.accuracy || 0)) / 100}
+            height={14}
+            rx="3"
+            fill={CHART_COLORS.accuracy}
+          />
+          <text className="chart-row-label" x={labelWidth + barMax + 8} y={17}>
+            {row.accuracy === null ? '-' : `${row.accuracy}%`} · {row.note}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Calendar of study days of the last weeks
+ * @param {Array} calendar - Weeks from getStudyCalendar
+ */
+const StreakCalendar = ({ calendar }) => {
+  const cell = 14;
+  const gap = 3;
+  const level = (sessions) => Math.min(sessions, 3);
+
+  return (
+    <svg
+      className="chart streak-calendar"
+      viewBox={`0 0 ${calendar.length * (cell + gap)} ${7 * (cell + gap)}`}
+      role="img"
+    >
+      {calendar.map((week, w) => week.map((day, d) => !day.future && (
+        <rect
+          key={day.date}
+          className={`streak-day level-${level(day.sessions)}`}
+          x={w * (cell + gap)}
+          y={d * (cell + gap)}
+          width={cell}
+          height={cell}
+          rx="2"
+        >
+          <title>{`${day.date}: ${day.sessions > 0 ? `练习 ${day.sessions} 次` : '没有练习'}`}</title>
+        </rect>
+      )))}
+    </svg>
+  );
+};
+
+/**
+ * ProgressDashboard Component - Trends of the learning history, drawn as SVG charts
+ */
+const ProgressDashboard = ({ history, words, currentLibrary }) => {
+  const [preset, setPreset] = useState(30);
+  const [range, setRange] = useState(() => getPresetRange(30));
+
+  const choosePreset = (days) => {
+    setPreset(days);
+    setRange(getPresetRange(days));
+  };
+
+  const changeRange = (changes) => {
+    setPreset(null);
+    setRange({ ...range, ...changes });
+  };
+
+  const entries = filterHistory(history, range);
+  const totals = getHistoryTotals(entries);
+  const days = getDailyStats(entries, range);
+  const modes = getModeBreakdown(entries);
+  const units = getUnitBreakdown(getLibraryAttempts(currentLibrary), words, range);
+  // 连续学习天数与日历不受日期范围影响
+  const streak = getStudyStreak(history);
+  const calendar = getStudyCalendar(history);
+
+  return (
+    <div className="progress-dashboard">
+      <div className="dashboard-range">
+        {RANGE_PRESETS.map(({ days: presetDays, label }) => (
+          <button
+            key={presetDays}
+            className={`range-btn ${preset === presetDays ? 'active' : ''}`}
+            onClick={() => choosePreset(presetDays)}
+          >
+            {label}
+          </button>
+        ))}
+        <input
+          type="date"
+          value={range.from}
+          max={range.to || toDateKey(new Date())}
+          onChange={(e) => changeRange({ from: e.target.value })}
+        />
+        <span>至</span>
+        <input
+          type="date"
+          value={range.to}
+          min={range.from}
+          onChange={(e) => changeRange({ to: e.target.value })}
+        />
+      </div>
+
+      <div className="history-summary">
+        <div className="summary-item">
+          <span className="summary-value">{totals.words}</span>
+          <span className="summary-label">练习题数</span>
+        </div>
+        <div className="summary-item correct">
+          <span className="summary-value">{totals.accuracy === null ? '-' : `${totals.accuracy}%`}</span>
+          <span className="summary-label">正确率</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-value">{totals.hintRate === null ? '-' : `${totals.hintRate}%`}</span>
+          <span className="summary-label">提示率</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-value">{totals.timeoutRate === null ? '-' : `${totals.timeoutRate}%`}</span>
+          <span className="summary-label">超时率</span>
+        </div>
+      </div>
+
+      <div className="dashboard-section">
+        <h3>🔥 连续学习</h3>
+        <p className="dashboard-note">
+          当前连续 <strong>{streak.current}</strong> 天，最长 <strong>{streak.longest}</strong> 天
+        </p>
+        <StreakCalendar calendar={calendar} />
+      </div>
+
+      {entries.length > 0 ? (
+        <>
+          <div className="dashboard-section">
+            <h3>📈 每日正确率</h3>
+            <TrendChart days={days} series={[{ key: 'accuracy', name: '正确率', color: CHART_COLORS.accuracy }]} />
+          </div>
+
+          <div className="dashboard-section">
+            <h3>📚 每日练习题数</h3>
+            <WordsChart days={days} />
+          </div>
+
+          <div className="dashboard-section">
+            <h3>💡 提示与超时</h3>
+            <TrendChart
+              days={days}
+              series={[
+                { key: 'hintRate', name: '使用提示', color: CHART_COLORS.hints },
+                { key: 'timeoutRate', name: '超时', color: CHART_COLORS.timeouts }
+              ]}
+            />
+          </div>
+
+          <div className="dashboard-section">
+            <h3>🎯 各模式</h3>
+            <BreakdownChart
+              rows={modes.map(m => ({ label: m.mode, accuracy: m.accuracy, note: `${m.words}题` }))}
+            />
+          </div>
+        </>
+      ) : (
+        <div className="empty-history">
+          <p>这段时间没有学习记录</p>
+        </div>
+      )}
+
+      {units.length > 0 && (
+        <div className="dashboard-section">
+          <h3>📖 各单元（当前词库）</h3>
+          <BreakdownChart
+            rows={units.map(u => ({ label: `Unit ${u.unit}`, accuracy: u.accuracy, note: `${u.words}词` }))}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProgressDashboard;
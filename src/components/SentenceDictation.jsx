@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import useSpeech from '../hooks/useSpeech';
+import useSession from '../hooks/useSession';
+import { createBlankSentence, getFormSpellings } from '../utils/wordHelpers';
+import { gradeAnswer, gradeSentence, ERROR_TYPES } from '../utils/grading';
+import LetterDiff from './LetterDiff';
+import SessionShell from './SessionShell';
+
+// 整句听写需要更长的作答时间，限时按单题限时加倍
+const SENTENCE_TIME_FACTOR = 2;
+
+// 慢速朗读的语速（正常为 1）
+const SLOW_RATE = 0.6;
+
+// 听写内容
+export const DICTATION_TARGETS = {
+  SENTENCE: 'dictation-sentence', // 写出整个句子
+  WORD: 'dictation-word' // 只写出句中挖空的单词
+};
+
+/**
+ * SentenceDictation Component - Listen to the example sentence and write it down
+ */
+const SentenceDictation = ({
+  words,
+  target = DICTATION_TARGETS.SENTENCE,
+  partialCredit = false,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  libraryId,
+  onComplete
+}) => {
+  const [userInput, setUserInput] = useState('');
+  const { speak, isSpeaking } = useSpeech({ libraryId });
+  const wholeSentence = target === DICTATION_TARGETS.SENTENCE;
+  const session = useSession({
+    words,
+    timeLimit: wholeSentence ? timeLimit * SENTENCE_TIME_FACTOR : timeLimit,
+    timeoutAction,
+    exam,
+    paused,
+    onAutoSubmit: () => submitAnswer(),
+    onComplete
+  });
+  const { currentWord, currentIndex } = session;
+  const blank = currentWord && createBlankSentence(currentWord.exampleSentence, currentWord);
+
+  useEffect(() => {
+    setUserInput('');
+    // Auto-play when a new sentence is shown
+    handlePlaySound();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentIndex]);
+
+  const handlePlaySound = (slow = false) => {
+    if (currentWord) {
+      speak(currentWord.exampleSentence, undefined, slow ? SLOW_RATE : undefined);
+    }
+  };
+
+  /**
+   * Grade and record the typed sentence or word
+   * @returns {boolean} - False if nothing was typed
+   */
+  const submitAnswer = () => {
+    if (!userInput.trim()) return false;
+
+    // 填词时按句中实际出现的形式判分（听到的是 directors 就要写 directors），其他拼写的同一形式也算对
+    const result = wholeSentence
+      ? gradeSentence(userInput, currentWord.exampleSentence, { partialCredit })
+      : gradeAnswer(userInput, blank.form ? getFormSpellings(blank.form, currentWord) : currentWord, { partialCredit });
+    session.submit({
+      correct: result.correct,
+      userAnswer: userInput,
+      errorType: result.errorType,
+      score: result.score
+    }, result);
+    return true;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitAnswer();
+  };
+
+  return (
+    <SessionShell
+      session={session}
+      className="sentence-dictation-container"
+      title="句子听写"
+      instruction={wholeSentence ? '听句子，写出整个句子' : '听句子，写出空格处的单词'}
+      renderPrompt={() => (
+        <>
+          <div className="audio-controls">
+            <button
+              className="btn btn-primary btn-large"
+              onClick={() => handlePlaySound(false)}
+              disabled={isSpeaking}
+            >
+              {isSpeaking ? '播放中...' : '🔊 正常速度'}
+            </button>
+            <button
+              className="btn btn-hint btn-large"
+              onClick={() => handlePlaySound(true)}
+              disabled={isSpeaking}
+            >
+              🐢 慢速
+            </button>
+          </div>
+
+          {!wholeSentence && (
+            <div className="sentence-display">
+              <p className="sentence">{blank.sentence}</p>
+            </div>
+          )}
+        </>
+      )}
+      renderInput={() => (
+        <form onSubmit={handleSubmit} className="input-form">
+          {wholeSentence ? (
+            <textarea
+              value={userInput}
+              onChange={(e) => setUserInput(e.target.value)}
+              placeholder="在此输入听到的句子"
+              className="word-input sentence-input"
+              rows={3}
+              autoFocus
+            />
+          ) : (
+            <input
+              type="text"
+              value={userInput}
+              onChange={(e) => setUserInput(e.target.value)}
+              placeholder="在此输入空格处的单词"
+              className="word-input"
+              autoFocus
+              autoComplete="off"
+            />
+          )}
+          <div className="button-group">
+            <button type="submit" className="btn btn-success" disabled={!userInput.trim()}>
+              提交
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => session.skip(userInput)}>
+              跳过
+            </button>
+          </div>
+        </form>
+      )}
+      renderFeedback={({ correct, userAnswer, detail: grade }) => (
+        <>
+          <div className={`result ${correct ? 'correct' : 'incorrect'}`}>
+            {correct ? (
+              <div className="result-correct">
+                <h3>✓ 正确！</h3>
+              </div>
+            ) : (
+              <div className="result-incorrect">
+                <h3>✗ 错误</h3>
+                <p>你的答案: <strong>{userAnswer}</strong></p>
+                {wholeSentence ? (
+                  <div className="letter-diff">
+                    <div className="sentence-diff">
+                      {grade.words.map((w, index) => (
+                        <span
+                          key={index}
+                          className={`diff-${w.type}`}
+                          title={w.type === 'wrong' ? `写成了 ${w.actual}` : undefined}
+                        >
+                          {w.type === 'extra' ? w.actual : w.expected}
+                        </span>
+                      ))}
+                    </div>
+                    <div className="letter-diff-legend">
+                      <span className="diff-missing">漏写</span>
+                      <span className="diff-extra">多写</span>
+                      <span className="diff-wrong">写错</span>
+                    </div>
+                  </div>
+                ) : (
+                  <LetterDiff diff={grade.diff} />
+                )}
+                <p className="error-type">
+                  {wholeSentence
+                    ? `写对 ${grade.correctCount} / ${grade.total} 个单词`
+                    : ERROR_TYPES[grade.errorType]}
+                  {grade.score > 0 && `，得 ${grade.score} 分`}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="word-details">
+            <h3 className="word">{currentWord.word}</h3>
+            <p className="phonetic">{currentWord.phonetic}</p>
+            <p className="meaning">中文: {currentWord.meaning}</p>
+            <p className="example">完整句子: {currentWord.exampleSentence}</p>
+          </div>
+        </>
+      )}
+    />
+  );
+};
+
+export default SentenceDictation;
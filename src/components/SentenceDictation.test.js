@@ -0,0 +1,89 @@
+import React from 'react';
+import SentenceDictation, { DICTATION_TARGETS } from './SentenceDictation';
+import { render, type, tick, typeAnswer, getProgress, TEST_WORDS } from '../testUtils';
+
+jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+
+const renderDictation = (props) => render(
+  <SentenceDictation words={TEST_WORDS} timeLimit={0} onComplete={() => {}} {...props} />
+);
+
+describe('SentenceDictation', () => {
+  it('grades the whole sentence', () => {
+    const { container, unmount } = renderDictation();
+
+    typeAnswer(container, 'She ate two apples after lunch');
+    expect(container.querySelector('.result-correct')).not.toBeNull();
+    unmount();
+  });
+
+  it('marks the words of the sentence written wrongly', () => {
+    const { container, unmount } = renderDictation();
+
+    typeAnswer(container, 'She ate too apples after lunch.');
+    expect(container.querySelector('.diff-wrong').textContent).toBe('two');
+    expect(container.querySelector('.error-type').textContent).toContain('写对 5 / 6 个单词');
+    unmount();
+  });
+
+  it('expects the blanked word in the form the sentence uses', () => {
+    const wrongForm = renderDictation({ target: DICTATION_TARGETS.WORD });
+    expect(wrongForm.container.querySelector('.sentence').textContent).toBe('She ate two ______ after lunch.');
+    typeAnswer(wrongForm.container, 'apple');
+    expect(wrongForm.container.querySelector('.result-incorrect')).not.toBeNull();
+    wrongForm.unmount();
+
+    const rightForm = renderDictation({ target: DICTATION_TARGETS.WORD });
+    typeAnswer(rightForm.container, 'apples');
+    expect(rightForm.container.querySelector('.result-correct')).not.toBeNull();
+    rightForm.unmount();
+  });
+
+  it('accepts the blanked form in another spelling of the word', () => {
+    const colour = {
+      word: 'colour',
+      alternatives: ['color'],
+      meaning: '颜色',
+      unit: 1,
+      exampleSentence: 'The leaves change colours in autumn.'
+    };
+    const { container, unmount } = renderDictation({ words: [colour], target: DICTATION_TARGETS.WORD });
+    typeAnswer(container, 'colors');
+    expect(container.querySelector('.result-correct')).not.toBeNull();
+    unmount();
+  });
+
+  describe('on timeout', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('gives a whole sentence twice the time limit before skipping', () => {
+      const { container, unmount } = renderDictation({ timeLimit: 5, timeoutAction: 'skip' });
+
+      tick(5);
+      expect(getProgress(container)).toBe('1 / 5');
+      tick(5);
+      expect(getProgress(container)).toBe('2 / 6');
+      unmount();
+    });
+
+    it('submits the typed word with timeoutAction submit', () => {
+      const { container, unmount } = renderDictation({
+        target: DICTATION_TARGETS.WORD,
+        timeLimit: 5,
+        timeoutAction: 'submit'
+      });
+
+      type(container.querySelector('.word-input'), 'apples');
+      tick(5);
+
+      expect(container.querySelector('.result-correct')).not.toBeNull();
+      unmount();
+    });
+  });
+});
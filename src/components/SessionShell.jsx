@@ -0,0 +1,61 @@
+import React from 'react';
+import TimerDisplay from './TimerDisplay';
+
+/**
+ * SessionShell Component - Layout shared by the practice modes
+ * Renders the progress bar, title, timer and "next" button around the mode's own parts:
+ * renderPrompt (always shown), renderInput (before answering) and
+ * renderFeedback (after answering, called with session.feedback)
+ */
+const SessionShell = ({
+  session,
+  className,
+  title,
+  instruction,
+  renderPrompt,
+  renderInput,
+  renderFeedback
+}) => {
+  if (!session.currentWord) {
+    return <div className="loading">加载中...</div>;
+  }
+
+  const progress = Math.round(((session.currentIndex + 1) / session.total) * 100);
+
+  return (
+    <div className={className}>
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+        <span className="progress-text">{session.currentIndex + 1} / {session.total}</span>
+      </div>
+
+      <div className="game-content">
+        <h2>{title}</h2>
+        <p className="instruction">{instruction}</p>
+
+        {renderPrompt && renderPrompt()}
+
+        {!session.showAnswer && (
+          <TimerDisplay
+            elapsed={session.elapsed}
+            limit={session.timeLimit}
+            isTimeout={session.isTimeout}
+            examRemaining={session.examRemaining}
+          />
+        )}
+
+        {!session.showAnswer ? renderInput() : (
+          <div className="answer-section">
+            {renderFeedback(session.feedback)}
+
+            <button className="btn btn-primary" onClick={() => session.next()}>
+              {session.isLast ? '完成' : '下一个'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionShell;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import useSpeech from '../hooks/useSpeech';
+import {
+  AUDIO_SOURCE_NAMES,
+  loadAudioPack,
+  cacheWordsAudio,
+  getAudioCacheCount,
+  clearAudioCache
+} from '../utils/audioSources';
+import { TIME_LIMIT_OPTIONS, EXAM_MINUTE_OPTIONS, TIMEOUT_ACTIONS } from '../utils/timing';
+
+const AUDIO_MODES = {
+  hybrid: '音频优先，没有时浏览器朗读',
+  dictionary: '只播放音频',
+  webspeech: '只用浏览器朗读'
+};
+
+const SPEECH_RATES = [
+  { value: 0.6, label: '慢' },
+  { value: 0.8, label: '较慢' },
+  { value: 1, label: '正常' },
+  { value: 1.2, label: '较快' }
+];
+
+/**
+ * SettingsModal Component - Pronunciation, audio sources, offline audio and time limits
+ */
+const SettingsModal = ({ preferences, onChange, library, words, onClose }) => {
+  const [pack, setPack] = useState(undefined); // undefined while loading, null when missing
+  const [cacheCount, setCacheCount] = useState(0);
+  const [caching, setCaching] = useState(null); // {done, total, failed}
+  const [cacheMessage, setCacheMessage] = useState('');
+  const { speak, voices, isSupported } = useSpeech({ libraryId: library.id });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAudioPack(library.id).then(result => {
+      if (!cancelled) setPack(result);
+    });
+    getAudioCacheCount().then(count => {
+      if (!cancelled) setCacheCount(count);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [library.id]);
+
+  const enabled = preferences.audioSources;
+  const disabled = Object.keys(AUDIO_SOURCE_NAMES).filter(source => !enabled.includes(source));
+
+  const toggleSource = (source) => {
+    if (enabled.includes(source)) {
+      // 至少保留一种发音来源
+      if (enabled.length > 1) {
+        onChange({ audioSources: enabled.filter(s => s !== source) });
+      }
+    } else {
+      onChange({ audioSources: [...enabled, source] });
+    }
+  };
+
+  const moveSource = (index, offset) => {
+    const order = [...enabled];
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    onChange({ audioSources: order });
+  };
+
+  const handleCacheLibrary = async () => {
+    setCacheMessage('');
+    const singleWords = words.map(w => w.word.trim()).filter(w => /^[a-zA-Z]+$/.test(w));
+    try {
+      const result = await cacheWordsAudio(singleWords, preferences.accent, setCaching);
+      setCacheMessage(result.failed > 0
+        ? `${result.failed} 个单词无法缓存（网络不通或词典不允许跨域下载）`
+        : '✓ 当前词库的发音已全部缓存');
+    } catch (error) {
+      setCacheMessage('此浏览器不支持缓存音频（需要 https 或 localhost）');
+    }
+    setCaching(null);
+    setCacheCount(await getAudioCacheCount());
+  };
+
+  const handleClearCache = async () => {
+    if (!window.confirm('确定要删除所有已缓存的发音吗？')) return;
+    await clearAudioCache();
+    setCacheCount(0);
+    setCacheMessage('');
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⚙️ 设置</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="import-body">
+          <div className="settings-section">
+            <h3>发音</h3>
+            <div className="settings-grid">
+              <label>口音</label>
+              <select value={preferences.accent} onChange={(e) => onChange({ accent: e.target.value })}>
+                <option value="us">美式</option>
+                <option value="uk">英式</option>
+              </select>
+
+              <label>语速</label>
+              <select
+                value={preferences.speechRate}
+                onChange={(e) => onChange({ speechRate: Number(e.target.value) })}
+              >
+                {SPEECH_RATES.map(rate => (
+                  <option key={rate.value} value={rate.value}>{rate.label}</option>
+                ))}
+              </select>
+
+              <label>听写自动播放</label>
+              <span className="settings-inline">
+                <select
+                  value={preferences.repeatCount}
+                  onChange={(e) => onChange({ repeatCount: Number(e.target.value) })}
+                >
+                  {[1, 2, 3].map(count => (
+                    <option key={count} value={count}>{count} 遍</option>
+                  ))}
+                </select>
+                <select
+                  value={preferences.repeatGap}
+                  onChange={(e) => onChange({ repeatGap: Number(e.target.value) })}
+                  disabled={preferences.repeatCount === 1}
+                  title="每遍之间的间隔"
+                >
+                  {[1, 2, 3, 5].map(gap => (
+                    <option key={gap} value={gap}>间隔 {gap} 秒</option>
+                  ))}
+                </select>
+              </span>
+
+              <label>发音方式</label>
+              <select value={preferences.audioMode} onChange={(e) => onChange({ audioMode: e.target.value })}>
+                {Object.keys(AUDIO_MODES).map(mode => (
+                  <option key={mode} value={mode}>{AUDIO_MODES[mode]}</option>
+                ))}
+              </select>
+
+              <label>朗读声音</label>
+              <select
+                value={preferences.voiceURI}
+                onChange={(e) => onChange({ voiceURI: e.target.value })}
+                disabled={!isSupported}
+              >
+                <option value="">自动选择</option>
+                {voices.map(voice => (
+                  <option key={voice.voiceURI} value={voice.voiceURI}>
+                    {voice.name} ({voice.lang})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              className="btn btn-secondary"
+              onClick={() => speak(words.length > 0 ? words[0].word : 'hello')}
+            >
+              🔊 试听
+            </button>
+          </div>
+
+          <div className="settings-section">
+            <h3>计时</h3>
+            <div className="settings-grid">
+              <label>单题限时</label>
+              <select
+                value={preferences.timeLimit}
+                onChange={(e) => onChange({ timeLimit: Number(e.target.value) })}
+              >
+                {TIME_LIMIT_OPTIONS.map(seconds => (
+                  <option key={seconds} value={seconds}>{seconds === 0 ? '不限时' : `${seconds} 秒`}</option>
+                ))}
+              </select>
+
+              <label>超时后</label>
+              <select
+                value={preferences.timeoutAction}
+                onChange={(e) => onChange({ timeoutAction: e.target.value })}
+                disabled={preferences.timeLimit === 0}
+              >
+                {Object.keys(TIMEOUT_ACTIONS).map(action => (
+                  <option key={action} value={action}>{TIMEOUT_ACTIONS[action]}</option>
+                ))}
+              </select>
+
+              <label>考试时长</label>
+              <select
+                value={preferences.examMinutes}
+                onChange={(e) => onChange({ examMinutes: Number(e.target.value) })}
+              >
+                {EXAM_MINUTE_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes} 分钟</option>
+                ))}
+              </select>
+            </div>
+            <p className="import-tip">整句听写的限时为单题限时的两倍。</p>
+          </div>
+
+          <div className="settings-section">
+            <h3>发音来源</h3>
+            <p className="import-tip">按顺序尝试，前一个没有该单词的发音时使用下一个。</p>
+            <div className="audio-source-list">
+              {enabled.map((source, index) => (
+                <div key={source} className="audio-source-item">
+                  <label>
+                    <input type="checkbox" checked onChange={() => toggleSource(source)} />
+                    {index + 1}. {AUDIO_SOURCE_NAMES[source]}
+                  </label>
+                  <span className="audio-source-actions">
+                    <button className="btn-text" onClick={() => moveSource(index, -1)} disabled={index === 0}>
+                      ↑
+                    </button>
+                    <button
+                      className="btn-text"
+                      onClick={() => moveSource(index, 1)}
+                      disabled={index === enabled.length - 1}
+                    >
+                      ↓
+                    </button>
+                  </span>
+                </div>
+              ))}
+              {disabled.map(source => (
+                <div key={source} className="audio-source-item off">
+                  <label>
+                    <input type="checkbox" checked={false} onChange={() => toggleSource(source)} />
+                    {AUDIO_SOURCE_NAMES[source]}
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <h3>离线发音</h3>
+            <p className="import-tip">
+              「{library.name}」本地音频包：
+              {pack === undefined && '检查中...'}
+              {pack === null && '未安装'}
+              {pack && `${Object.keys(pack.files).length} 个单词`}
+            </p>
+            <p className="import-tip">已缓存的词典发音：{cacheCount} 个</p>
+            <p className="import-tip">只有允许跨域下载的在线词典才能缓存发音，否则离线时请使用本地音频包。</p>
+            <div className="button-group">
+              <button
+                className="btn btn-primary"
+                onClick={handleCacheLibrary}
+                disabled={caching !== null || words.length === 0}
+              >
+                {caching ? `下载中 ${caching.done}/${caching.total}` : '缓存当前词库的发音'}
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={handleClearCache}
+                disabled={caching !== null || cacheCount === 0}
+              >
+                清除缓存
+              </button>
+            </div>
+            {cacheMessage && <p className="import-tip">{cacheMessage}</p>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
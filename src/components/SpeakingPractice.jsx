@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useSpeech from '../hooks/useSpeech';
+import useSpeechRecognition from '../hooks/useSpeechRecognition';
+import useSession from '../hooks/useSession';
+import { gradeSpeech, ERROR_TYPES } from '../utils/grading';
+import SessionShell from './SessionShell';
+
+// 识别失败时给学生看的提示，key 为识别器的错误码
+const RECOGNITION_ERRORS = {
+  'not-allowed': '没有麦克风权限，请在浏览器地址栏允许使用麦克风',
+  'service-not-allowed': '没有麦克风权限，请在浏览器地址栏允许使用麦克风',
+  'audio-capture': '没有找到麦克风，请检查设备',
+  network: '语音识别需要联网，请检查网络'
+};
+
+/**
+ * SpeakingPractice Component - Read the word aloud and let the browser recognise it
+ */
+const SpeakingPractice = ({
+  words,
+  partialCredit = false,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  libraryId,
+  onComplete
+}) => {
+  const [message, setMessage] = useState('');
+  const { speak, isSpeaking } = useSpeech({ libraryId });
+  const { listen, stop, isListening, isSupported } = useSpeechRecognition();
+  // 口语没有可以自动提交的答案，超时后只会提醒或跳过
+  const session = useSession({ words, timeLimit, timeoutAction, exam, paused, onComplete });
+  const { currentWord, currentIndex } = session;
+  // 识别结果要等说完才返回，用最新的会话状态来判断题目是否已变、记录用时
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  useEffect(() => {
+    stop();
+    setMessage('');
+  }, [currentIndex, stop]);
+
+  const handlePlaySound = () => {
+    if (currentWord) {
+      speak(currentWord.word);
+    }
+  };
+
+  const handleRecord = async () => {
+    setMessage('');
+    const askedIndex = currentIndex;
+    let alternatives;
+    try {
+      alternatives = await listen();
+    } catch (error) {
+      setMessage(RECOGNITION_ERRORS[error.code] || '语音识别出错，请再试一次');
+      return;
+    }
+
+    // 录音期间已跳到下一题（跳过或超时），这次的结果作废
+    if (sessionRef.current.currentIndex !== askedIndex) return;
+
+    // 没听到声音时不计分，让学生再说一次
+    if (alternatives.length === 0) {
+      setMessage('没有听清，请靠近麦克风再说一次');
+      return;
+    }
+
+    const result = gradeSpeech(alternatives, currentWord, { partialCredit });
+    sessionRef.current.submit({
+      correct: result.correct,
+      userAnswer: result.heard,
+      errorType: result.errorType,
+      score: result.score
+    }, result);
+  };
+
+  if (!isSupported) {
+    return (
+      <div className="error-message">
+        <p>抱歉，您的浏览器不支持语音识别。</p>
+        <p>请使用Chrome、Edge或Safari浏览器，并允许使用麦克风。</p>
+      </div>
+    );
+  }
+
+  return (
+    <SessionShell
+      session={session}
+      className="speaking-container"
+      title="口语跟读"
+      instruction="看单词和音标，点击话筒后大声读出来"
+      renderPrompt={() => (
+        <div className="word-details">
+          <h3 className="word">{currentWord.word}</h3>
+          <p className="phonetic">{currentWord.phonetic}</p>
+          <p className="meaning">中文: {currentWord.meaning}</p>
+        </div>
+      )}
+      renderInput={() => (
+        <div className="input-form">
+          <div className="audio-controls">
+            <button
+              className={`btn btn-large ${isListening ? 'btn-danger' : 'btn-success'}`}
+              onClick={isListening ? stop : handleRecord}
+              disabled={isSpeaking}
+            >
+              {isListening ? '⏹ 正在听...' : '🎤 开始朗读'}
+            </button>
+          </div>
+          {message && <p className="speaking-message">{message}</p>}
+          <div className="button-group">
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handlePlaySound}
+              disabled={isSpeaking || isListening}
+            >
+              🔊 听示范
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => session.skip()}>
+              跳过
+            </button>
+          </div>
+        </div>
+      )}
+      renderFeedback={({ correct, detail: grade }) => (
+        <>
+          <div className={`result ${correct ? 'correct' : 'incorrect'}`}>
+            {correct ? (
+              <div className="result-correct">
+                <h3>✓ 读对了！</h3>
+              </div>
+            ) : (
+              <div className="result-incorrect">
+                <h3>✗ 没有读对</h3>
+                <p>识别为: <strong>{grade.heard}</strong></p>
+                <p className="error-type">
+                  {ERROR_TYPES[grade.errorType]}
+                  {grade.score > 0 && `，得 ${grade.score} 分`}
+                </p>
+              </div>
+            )}
+            {grade.confidence > 0 && (
+              <p className="speaking-confidence">识别把握: {Math.round(grade.confidence * 100)}%</p>
+            )}
+          </div>
+
+          <div className="button-group">
+            <button className="btn btn-secondary" onClick={handlePlaySound} disabled={isSpeaking}>
+              🔊 听示范
+            </button>
+          </div>
+        </>
+      )}
+    />
+  );
+};
+
+export default SpeakingPractice;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { act } from 'react';
+import SpeakingPractice from './SpeakingPractice';
+import { setRecognitionFactory } from '../utils/speechRecognition';
+import { render, getButton, click, tick, TEST_WORDS } from '../testUtils';
+
+jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+
+const WORDS = TEST_WORDS.slice(0, 1);
+
+/**
+ * Stub recogniser: the test decides what was heard and when
+ */
+const createStubRecogniser = () => {
+  const stub = { current: null };
+  setRecognitionFactory(() => {
+    const recognition = {
+      start: () => {
+        stub.current = recognition;
+      },
+      abort: () => recognition.onend()
+    };
+    return recognition;
+  });
+
+  stub.hear = async (alternatives) => {
+    const recognition = stub.current;
+    await act(async () => {
+      recognition.onresult({ results: [alternatives] });
+      recognition.onend();
+    });
+  };
+  stub.fail = async (code) => {
+    const recognition = stub.current;
+    await act(async () => {
+      recognition.onerror({ error: code });
+      recognition.onend();
+    });
+  };
+  return stub;
+};
+
+describe('SpeakingPractice', () => {
+  let recogniser;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    recogniser = createStubRecogniser();
+  });
+
+  afterEach(() => {
+    setRecognitionFactory(null);
+    jest.useRealTimers();
+  });
+
+  it('grades what was heard', async () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <SpeakingPractice words={WORDS} timeLimit={0} onComplete={onComplete} />
+    );
+
+    click(getButton(container, /开始朗读/));
+    await recogniser.hear([{ transcript: 'apple', confidence: 0.9 }]);
+
+    expect(container.textContent).toContain('读对了');
+    expect(container.querySelector('.speaking-confidence').textContent).toContain('90%');
+    click(getButton(container, '完成'));
+
+    const [result] = onComplete.mock.calls[0][0];
+    expect(result).toMatchObject({ word: 'apple', correct: true, userAnswer: 'apple' });
+    unmount();
+  });
+
+  it('records the time until the word was recognised', async () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <SpeakingPractice words={WORDS} timeLimit={30} onComplete={onComplete} />
+    );
+
+    tick(2);
+    click(getButton(container, /开始朗读/));
+    tick(3);
+    await recogniser.hear([{ transcript: 'apple', confidence: 0.9 }]);
+    click(getButton(container, '完成'));
+
+    const [result] = onComplete.mock.calls[0][0];
+    expect(result.timeSpent).toBe(5);
+    unmount();
+  });
+
+  it('shows what was heard when the word is misread', async () => {
+    const { container, unmount } = render(
+      <SpeakingPractice words={WORDS} timeLimit={0} onComplete={() => {}} />
+    );
+
+    click(getButton(container, /开始朗读/));
+    await recogniser.hear([{ transcript: 'apply', confidence: 0.7 }]);
+
+    expect(container.textContent).toContain('没有读对');
+    expect(container.querySelector('.result-incorrect strong').textContent).toBe('apply');
+    unmount();
+  });
+
+  it('asks again without grading when nothing was heard', async () => {
+    const onComplete = jest.fn();
+    const { container, unmount } = render(
+      <SpeakingPractice words={WORDS} timeLimit={0} onComplete={onComplete} />
+    );
+
+    click(getButton(container, /开始朗读/));
+    await recogniser.fail('no-speech');
+
+    expect(container.textContent).toContain('没有听清');
+    expect(getButton(container, /开始朗读/)).toBeDefined();
+    unmount();
+  });
+
+  it('explains a missing microphone permission', async () => {
+    const { container, unmount } = render(
+      <SpeakingPractice words={WORDS} timeLimit={0} onComplete={() => {}} />
+    );
+
+    click(getButton(container, /开始朗读/));
+    await recogniser.fail('not-allowed');
+
+    expect(container.textContent).toContain('没有麦克风权限');
+    unmount();
+  });
+
+  it('skips on timeout even with timeoutAction submit, as there is no answer to submit', async () => {
+    const { container, unmount } = render(
+      <SpeakingPractice words={TEST_WORDS.slice(0, 2)} timeLimit={5} timeoutAction="submit" onComplete={() => {}} />
+    );
+
+    click(getButton(container, /开始朗读/));
+    tick(5);
+    // 换题时停止录音，等被中止的识别结束
+    await act(async () => {});
+
+    expect(container.querySelector('.word').textContent).toBe('banana');
+    // 上一题的录音已停止，识别结果不再计入
+    expect(getButton(container, /开始朗读/)).toBeDefined();
+    unmount();
+  });
+});
@@ -0,0 +1,28 @@
+import React from 'react';
+import { formatClock } from '../utils/timing';
+
+/**
+ * TimerDisplay Component - Seconds spent on the question, or the time left in an exam
+ */
+const TimerDisplay = ({ elapsed, limit = 0, isTimeout = false, examRemaining = null }) => {
+  if (examRemaining !== null) {
+    return (
+      <div className={`timer-display exam ${examRemaining <= 60 ? 'timeout' : ''}`}>
+        <span className="timer-icon">📝</span>
+        <span className="timer-text">考试剩余 {formatClock(examRemaining)}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`timer-display ${isTimeout ? 'timeout' : ''}`}>
+      <span className="timer-icon">⏱️</span>
+      <span className="timer-text">
+        {elapsed}秒{limit > 0 && ` / ${limit}秒`}
+      </span>
+      {isTimeout && <span className="timeout-warning">超时警告！请加快速度</span>}
+    </div>
+  );
+};
+
+export default TimerDisplay;
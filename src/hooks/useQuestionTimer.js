@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Custom hook that counts the seconds spent on a question (or a whole exam)
+ * @param {Object} options - {
+ *   limit: seconds before timing out, 0 for no limit;
+ *   running: whether the clock is ticking;
+ *   resetKey: the clock restarts from 0 whenever this changes (e.g. the question index);
+ *   onTimeout: called once when the limit is reached;
+ *   initialElapsed: seconds already spent, e.g. of a resumed exam
+ * }
+ */
+const useQuestionTimer = ({ limit = 0, running = true, resetKey, onTimeout, initialElapsed = 0 }) => {
+  const [elapsed, setElapsed] = useState(initialElapsed);
+  const [currentKey, setCurrentKey] = useState(resetKey);
+  const onTimeoutRef = useRef(onTimeout);
+
+  // 在渲染时就归零，避免新题目第一次渲染时还带着上一题的秒数
+  if (currentKey !== resetKey) {
+    setCurrentKey(resetKey);
+    setElapsed(0);
+  }
+
+  useEffect(() => {
+    onTimeoutRef.current = onTimeout;
+  });
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const intervalId = setInterval(() => setElapsed(prev => prev + 1), 1000);
+    return () => clearInterval(intervalId);
+  }, [running, resetKey]);
+
+  useEffect(() => {
+    if (running && limit > 0 && elapsed === limit && onTimeoutRef.current) {
+      onTimeoutRef.current();
+    }
+  }, [elapsed, limit, running]);
+
+  return {
+    elapsed,
+    isTimeout: limit > 0 && elapsed >= limit,
+    remaining: limit > 0 ? Math.max(limit - elapsed, 0) : null
+  };
+};
+
+export default useQuestionTimer;
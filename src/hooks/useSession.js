@@ -0,0 +1,169 @@
+import { useState, useReducer, useEffect } from 'react';
+import useQuestionTimer from './useQuestionTimer';
+import {
+  createSessionState,
+  serializeSessionState,
+  sessionReducer,
+  getSessionResults,
+  getHintsUsed
+} from '../utils/sessionLog';
+import { getActiveSession, updateActiveSession } from '../utils/storageHelper';
+
+/**
+ * Re-queue policies decide whether a word comes back later in the session.
+ * Each takes the queued word and its recorded result and returns
+ * {offset, item} to insert item `offset` questions later, or null.
+ */
+const requeueWrong = (item, result) => (
+  !result.correct && item.retryCount === 0
+    ? { offset: 3, item: { ...item, retryCount: 1 } }
+    : null
+);
+
+export const REQUEUE_POLICIES = {
+  // 答错或跳过的单词在 3 题之后再出现一次
+  wrong: requeueWrong,
+  // 另外，用了提示才答对的单词在 4 题之后再出现一次
+  wrongOrHinted: (item, result) => requeueWrong(item, result) || (
+    result.correct && result.hintsUsed > 0 && item.hintRetryCount === 0
+      ? { offset: 4, item: { ...item, hintRetryCount: 1 } }
+      : null
+  ),
+  // 不重复出题（考试）
+  none: () => null
+};
+
+/**
+ * Saved progress of the active session if it belongs to these words
+ * (App stores a fresh active session whenever a mode starts)
+ * @param {Array} words - Words of the session
+ * @returns {Object|null} - Active session with its saved state, or null
+ */
+const getResumableSession = (words) => {
+  const session = getActiveSession();
+  if (!session || !session.state) return null;
+  const sameWords = session.words.length === words.length
+    && session.words.every((w, index) => w.word === words[index].word);
+  return sameWords ? session : null;
+};
+
+/**
+ * Custom hook that runs a practice session: the word queue, re-queueing,
+ * per-question and exam timing, skipping and the results.
+ * Everything is recorded in an event log (see utils/sessionLog) and the
+ * results passed to onComplete are derived from it once the session ends.
+ * Progress is saved to the active session after every change, so a session
+ * interrupted by a refresh continues where it stopped.
+ * Modes only render the question and grade the answer.
+ * @param {Object} options - {
+ *   words: words of the session;
+ *   requeue: one of REQUEUE_POLICIES (ignored in exams);
+ *   timeLimit, timeoutAction, exam: see useQuestionTimer and utils/timing;
+ *   paused: stops the question timer and the exam clock, e.g. while a dialog is open;
+ *   onAutoSubmit: called when a question times out with timeoutAction 'submit',
+ *     returns true if it submitted an answer (otherwise the question is skipped);
+ *   onComplete: called with the results when the session ends
+ * }
+ */
+const useSession = ({
+  words,
+  requeue = REQUEUE_POLICIES.wrong,
+  timeLimit = 30,
+  timeoutAction = 'warn',
+  exam = null,
+  paused = false,
+  onAutoSubmit,
+  onComplete
+}) => {
+  const [resumed] = useState(() => getResumableSession(words));
+  const [state, dispatch] = useReducer(
+    sessionReducer,
+    { words, requeue, exam, saved: resumed && resumed.state },
+    createSessionState
+  );
+  const { queue, currentIndex, events, showAnswer, feedback, finished } = state;
+  const currentWord = queue[currentIndex];
+
+  const { elapsed, isTimeout } = useQuestionTimer({
+    limit: exam ? 0 : timeLimit,
+    running: !paused && !showAnswer && !finished,
+    resetKey: currentIndex,
+    onTimeout: () => handleTimeout()
+  });
+  // 考试总时长，时间到时未答的题目按未作答交卷
+  const examClock = useQuestionTimer({
+    limit: exam ? exam.minutes * 60 : 0,
+    running: !paused && exam !== null && !finished,
+    resetKey: 'exam',
+    onTimeout: () => dispatch({ type: 'examEnd' }),
+    // 继续考试时接着上次剩下的时间计时
+    initialElapsed: exam && resumed ? Math.min(resumed.examElapsed || 0, exam.minutes * 60 - 1) : 0
+  });
+
+  // 每次变化都保存进度，已结束的会话由 onComplete 处理
+  useEffect(() => {
+    if (!finished) {
+      updateActiveSession({
+        state: serializeSessionState(state),
+        examElapsed: exam ? examClock.elapsed : undefined
+      });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state, examClock.elapsed]);
+
+  // 结果在会话结束后从事件记录中一次性生成，不会漏掉最后一题
+  useEffect(() => {
+    if (finished && onComplete) {
+      onComplete(getSessionResults(events));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [finished]);
+
+  /**
+   * Record a graded answer and show the feedback (or move on straight away in exams)
+   * @param {Object} answer - {correct, userAnswer, errorType?, score?}
+   * @param {*} detail - Anything the mode needs to render its feedback, e.g. the letter diff
+   */
+  const submit = (answer, detail = null) => {
+    dispatch({ type: 'answer', answer, detail, elapsed });
+  };
+
+  /**
+   * Record the current word as skipped and move on
+   * @param {string} userAnswer - What the student had typed, if anything
+   */
+  const skip = (userAnswer = '') => {
+    dispatch({ type: 'skip', userAnswer, elapsed });
+  };
+
+  // 超时后记录下来，再按设置自动提交或跳过
+  const handleTimeout = () => {
+    dispatch({ type: 'timeout' });
+    if (timeoutAction === 'submit' && onAutoSubmit && onAutoSubmit()) return;
+    if (timeoutAction !== 'warn') {
+      skip();
+    }
+  };
+
+  return {
+    currentWord,
+    currentIndex,
+    total: queue.length,
+    isLast: currentIndex === queue.length - 1,
+    events,
+    showAnswer,
+    feedback,
+    hintsUsed: getHintsUsed(events, currentIndex),
+    addHint: () => dispatch({ type: 'hint' }),
+    elapsed,
+    isTimeout,
+    timeLimit: exam ? 0 : timeLimit,
+    examRemaining: examClock.remaining,
+    exam,
+    submit,
+    skip,
+    next: () => dispatch({ type: 'next' })
+  };
+};
+
+export default useSession;
@@ -0,0 +1,230 @@
+import React from 'react';
+import { act } from 'react';
+import useSession, { REQUEUE_POLICIES } from './useSession';
+import { render, tick, TEST_WORDS } from '../testUtils';
+
+/**
+ * Render the hook in a component that shows nothing
+ * @param {Object} options - useSession options
+ * @returns {Object} - {session: latest hook value, run(fn): call fn(session) inside act, unmount}
+ */
+const renderSession = (options) => {
+  const hook = { current: null };
+  const Probe = () => {
+    hook.current = useSession({ words: TEST_WORDS, timeLimit: 0, ...options });
+    return null;
+  };
+  const { unmount } = render(<Probe />);
+  return {
+    get session() {
+      return hook.current;
+    },
+    run: (fn) => act(() => fn(hook.current)),
+    unmount
+  };
+};
+
+// 答完当前题并进入下一题
+const answer = (view, correct, hints = 0) => {
+  for (let i = 0; i < hints; i++) view.run(s => s.addHint());
+  view.run(s => s.submit({ correct, userAnswer: correct ? s.currentWord.word : 'wrong' }));
+  view.run(s => s.next());
+};
+
+// 按顺序列出剩下的题目
+const remainingWords = (view) => {
+  const words = [view.session.currentWord.word];
+  while (!view.session.isLast) {
+    answer(view, true);
+    words.push(view.session.currentWord.word);
+  }
+  return words;
+};
+
+describe('useSession re-queueing', () => {
+  it('brings a wrong answer back three questions later', () => {
+    const view = renderSession({});
+    answer(view, false);
+
+    expect(view.session.total).toBe(6);
+    expect(remainingWords(view)).toEqual(['banana', 'cherry', 'apple', 'grape', 'lemon']);
+    view.unmount();
+  });
+
+  it('re-queues a word only once', () => {
+    const view = renderSession({});
+    answer(view, false);
+    answer(view, true);
+    answer(view, true);
+    expect(view.session.currentWord.word).toBe('apple');
+    answer(view, false);
+
+    expect(view.session.total).toBe(6);
+    view.unmount();
+  });
+
+  it('brings a hinted correct answer back four questions later with wrongOrHinted', () => {
+    const view = renderSession({ requeue: REQUEUE_POLICIES.wrongOrHinted });
+    answer(view, true, 1);
+
+    expect(view.session.total).toBe(6);
+    expect(remainingWords(view)).toEqual(['banana', 'cherry', 'grape', 'apple', 'lemon']);
+    view.unmount();
+  });
+
+  it('does not re-queue a hinted correct answer with the default policy', () => {
+    const view = renderSession({});
+    answer(view, true, 1);
+
+    expect(view.session.total).toBe(5);
+    view.unmount();
+  });
+
+  it('never re-queues in an exam', () => {
+    const view = renderSession({ exam: { minutes: 10 } });
+    view.run(s => s.submit({ correct: false, userAnswer: 'wrong' }));
+
+    // 考试不显示答案，直接进入下一题
+    expect(view.session.showAnswer).toBe(false);
+    expect(view.session.currentIndex).toBe(1);
+    view.run(s => s.skip());
+
+    expect(view.session.currentIndex).toBe(2);
+    expect(view.session.total).toBe(5);
+    view.unmount();
+  });
+});
+
+describe('useSession skipping', () => {
+  it('records the current word before moving on', () => {
+    const onComplete = jest.fn();
+    const view = renderSession({ words: TEST_WORDS.slice(0, 2), requeue: REQUEUE_POLICIES.none, onComplete });
+    view.run(s => s.skip('app'));
+
+    expect(view.session.currentWord.word).toBe('banana');
+    answer(view, true);
+
+    const [skipped] = onComplete.mock.calls[0][0];
+    expect(skipped).toMatchObject({ word: 'apple', correct: false, userAnswer: 'app', errorType: 'skipped' });
+    view.unmount();
+  });
+
+  it('passes the skip of the last word to onComplete', () => {
+    const onComplete = jest.fn();
+    const view = renderSession({ requeue: REQUEUE_POLICIES.none, onComplete });
+    for (let i = 0; i < TEST_WORDS.length - 1; i++) answer(view, true);
+    view.run(s => s.skip());
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const results = onComplete.mock.calls[0][0];
+    expect(results).toHaveLength(5);
+    expect(results[4]).toMatchObject({ word: 'lemon', correct: false, errorType: 'skipped' });
+    view.unmount();
+  });
+});
+
+describe('useSession results', () => {
+  it('passes the answer to the last word to onComplete', () => {
+    const onComplete = jest.fn();
+    const view = renderSession({ words: TEST_WORDS.slice(0, 2), onComplete });
+    answer(view, false);
+    answer(view, true);
+    answer(view, true);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete.mock.calls[0][0].map(r => [r.word, r.correct, r.attempt])).toEqual([
+      ['apple', false, 1],
+      ['banana', true, 1],
+      ['apple', true, 2]
+    ]);
+    view.unmount();
+  });
+});
+
+describe('useSession time limit', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('auto-submits on timeout with timeoutAction submit', () => {
+    const onComplete = jest.fn();
+    const view = renderSession({
+      words: TEST_WORDS.slice(0, 1),
+      timeLimit: 5,
+      timeoutAction: 'submit',
+      onAutoSubmit: () => {
+        view.session.submit({ correct: true, userAnswer: 'apple' });
+        return true;
+      },
+      onComplete
+    });
+    tick(5);
+
+    expect(view.session.showAnswer).toBe(true);
+    expect(view.session.feedback).toMatchObject({ correct: true, userAnswer: 'apple' });
+    view.run(s => s.next());
+
+    const [result] = onComplete.mock.calls[0][0];
+    expect(result).toMatchObject({ word: 'apple', userAnswer: 'apple', timeout: true, timeSpent: 5 });
+    view.unmount();
+  });
+
+  it('skips on timeout with timeoutAction submit when there is nothing to submit', () => {
+    const view = renderSession({ timeLimit: 5, timeoutAction: 'submit', onAutoSubmit: () => false });
+    tick(5);
+
+    expect(view.session.showAnswer).toBe(false);
+    expect(view.session.currentWord.word).toBe('banana');
+    view.unmount();
+  });
+
+  it('skips on timeout with timeoutAction skip', () => {
+    const onComplete = jest.fn();
+    const view = renderSession({
+      words: TEST_WORDS.slice(0, 2),
+      requeue: REQUEUE_POLICIES.none,
+      timeLimit: 5,
+      timeoutAction: 'skip',
+      onComplete
+    });
+    tick(4);
+    expect(view.session.currentIndex).toBe(0);
+    tick(1);
+
+    expect(view.session.currentWord.word).toBe('banana');
+    // 新题目重新计时
+    expect(view.session.elapsed).toBe(0);
+    answer(view, true);
+
+    const [skipped] = onComplete.mock.calls[0][0];
+    expect(skipped).toMatchObject({ word: 'apple', errorType: 'skipped', timeout: true, timeSpent: 5 });
+    view.unmount();
+  });
+
+  it('stops the question timer and the exam clock while paused', () => {
+    const practice = renderSession({ timeLimit: 5, timeoutAction: 'skip', paused: true });
+    tick(10);
+    expect(practice.session.elapsed).toBe(0);
+    expect(practice.session.currentIndex).toBe(0);
+    practice.unmount();
+
+    const exam = renderSession({ exam: { minutes: 1 }, paused: true });
+    tick(10);
+    expect(exam.session.examRemaining).toBe(60);
+    exam.unmount();
+  });
+
+  it('only warns on timeout with timeoutAction warn', () => {
+    const view = renderSession({ timeLimit: 5, timeoutAction: 'warn' });
+    tick(6);
+
+    expect(view.session.currentIndex).toBe(0);
+    expect(view.session.showAnswer).toBe(false);
+    expect(view.session.isTimeout).toBe(true);
+    view.unmount();
+  });
+});
@@ -1,45 +1,84 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
+import { getPreferences } from '../utils/storageHelper';
+import {
+  getDictionaryUrl,
+  getLocalAudioUrl,
+  getCachedAudioUrl,
+  fetchAndCacheAudio
+} from '../utils/audioSources';
 
-// 在线词典音频源配置
-const AUDIO_SOURCES = {
-  // 有道词典 - 美式发音
-  youdao_us: (word) => `https://dict.youdao.com/dictvoice?audio=${encodeURIComponent(word)}&type=2`,
-  // 有道词典 - 英式发音
-  youdao_uk: (word) => `https://dict.youdao.com/dictvoice?audio=${encodeURIComponent(word)}&type=1`,
-};
+const AUDIO_LOAD_TIMEOUT_MS = 3000;
+
+// 浏览器朗读在语速 1 时对学生偏快，按此比例放慢
+const WEB_SPEECH_RATE_SCALE = 0.7;
 
 /**
  * Custom hook for hybrid text-to-speech functionality
- * Priority: Online dictionary audio > Web Speech API
+ * Sources are tried in the order set in preferences, by default:
+ * local audio pack > cached dictionary audio > online dictionary > Web Speech API.
+ * Accent, speed and voice also come from preferences.
+ * @param {Object} options - {libraryId: library whose audio pack is used}
  */
-const useSpeech = () => {
+const useSpeech = ({ libraryId } = {}) => {
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [isSupported, setIsSupported] = useState(false);
-  const [audioSource, setAudioSource] = useState('hybrid'); // 'hybrid', 'dictionary', 'webspeech'
+  const [voices, setVoices] = useState([]);
+  // 'hybrid', 'dictionary', 'webspeech'，为 null 时使用设置中的发音方式
+  const [audioSource, setAudioSource] = useState(null);
   const audioRef = useRef(null);
+  const objectUrlRef = useRef(null);
+  const requestRef = useRef(0);
+  const finishRef = useRef(null);
+
+  /**
+   * Resolve the promise of the word being spoken
+   */
+  const finish = useCallback(() => {
+    const resolve = finishRef.current;
+    finishRef.current = null;
+    if (resolve) resolve();
+  }, []);
 
   useEffect(() => {
+    // Voices load asynchronously in some browsers
+    const loadVoices = () => {
+      setVoices(window.speechSynthesis.getVoices().filter(v => v.lang.startsWith('en')));
+    };
     // Check if speech synthesis is supported
     if ('speechSynthesis' in window) {
       setIsSupported(true);
+      loadVoices();
+      window.speechSynthesis.addEventListener('voiceschanged', loadVoices);
     }
     // Create audio element for dictionary audio
+    const handleDone = () => {
+      setIsSpeaking(false);
+      finish();
+    };
     audioRef.current = new Audio();
-    audioRef.current.addEventListener('ended', () => setIsSpeaking(false));
-    audioRef.current.addEventListener('error', () => setIsSpeaking(false));
+    audioRef.current.addEventListener('ended', handleDone);
+    audioRef.current.addEventListener('error', handleDone);
 
     return () => {
+      if ('speechSynthesis' in window) {
+        window.speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+      }
       if (audioRef.current) {
         audioRef.current.pause();
         audioRef.current = null;
       }
+      if (objectUrlRef.current) {
+        URL.revokeObjectURL(objectUrlRef.current);
+      }
     };
-  }, []);
+  }, [finish]);
 
   /**
    * Stop any ongoing speech
    */
   const stop = useCallback(() => {
+    // Cancel a word that is still loading
+    requestRef.current += 1;
     // Stop dictionary audio
     if (audioRef.current) {
       audioRef.current.pause();
@@ -49,58 +88,95 @@ const useSpeech = () => {
     if ('speechSynthesis' in window) {
       window.speechSynthesis.cancel();
     }
+    // Release audio read from the cache
+    if (objectUrlRef.current) {
+      URL.revokeObjectURL(objectUrlRef.current);
+      objectUrlRef.current = null;
+    }
     setIsSpeaking(false);
-  }, []);
+    finish();
+  }, [finish]);
 
   /**
-   * Play audio from online dictionary
+   * Play an audio file (local pack, cached blob or online dictionary)
    */
-  const playDictionaryAudio = useCallback((word, accent = 'us') => {
+  const playAudioUrl = useCallback((audioUrl, rate = 1) => {
     return new Promise((resolve, reject) => {
       if (!audioRef.current) {
         reject(new Error('Audio element not initialized'));
         return;
       }
 
-      const sourceKey = accent === 'uk' ? 'youdao_uk' : 'youdao_us';
-      const audioUrl = AUDIO_SOURCES[sourceKey](word);
+      if (audioUrl.startsWith('blob:')) {
+        objectUrlRef.current = audioUrl;
+      }
+
+      // Set a timeout for loading
+      const timeoutId = setTimeout(() => {
+        // 放弃这段音频，免得它稍后加载完又和备用发音一起播放
+        const audio = audioRef.current;
+        audio.oncanplaythrough = null;
+        audio.onerror = null;
+        audio.pause();
+        audio.removeAttribute('src');
+        audio.load();
+        reject(new Error('Audio load timeout'));
+      }, AUDIO_LOAD_TIMEOUT_MS);
 
       // Set up event handlers before setting src
-      const handleCanPlay = () => {
+      audioRef.current.oncanplaythrough = () => {
+        clearTimeout(timeoutId);
         setIsSpeaking(true);
+        audioRef.current.playbackRate = rate;
         audioRef.current.play()
           .then(() => resolve())
           .catch((err) => reject(err));
       };
-
-      const handleError = () => {
-        reject(new Error('Failed to load dictionary audio'));
-      };
-
-      audioRef.current.oncanplaythrough = handleCanPlay;
-      audioRef.current.onerror = handleError;
-      audioRef.current.src = audioUrl;
-
-      // Set a timeout for loading
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Dictionary audio load timeout'));
-      }, 3000);
-
-      audioRef.current.oncanplaythrough = () => {
+      audioRef.current.onerror = () => {
         clearTimeout(timeoutId);
-        handleCanPlay();
+        reject(new Error('Failed to load audio'));
       };
-
+      audioRef.current.src = audioUrl;
       audioRef.current.load();
     });
   }, []);
 
+  /**
+   * Find the audio of a word in one source
+   * @returns {Promise<string|null>} - Audio URL, or null if the source has none
+   */
+  const resolveAudioUrl = useCallback(async (source, word, accent) => {
+    // 词典音频只支持单个英文单词
+    const isSingleWord = /^[a-zA-Z]+$/.test(word);
+
+    switch (source) {
+      case 'local':
+        return getLocalAudioUrl(libraryId, word, accent);
+      case 'cache':
+        return isSingleWord ? getCachedAudioUrl(getDictionaryUrl(word, accent)) : null;
+      case 'online': {
+        if (!isSingleWord || !navigator.onLine) return null;
+        const url = getDictionaryUrl(word, accent);
+        try {
+          return await fetchAndCacheAudio(url);
+        } catch (error) {
+          // 词典不允许跨域读取时拿不到音频数据，不会进入缓存，只能直接在线播放
+          if (error.name === 'TypeError') return url;
+          throw error;
+        }
+      }
+      default:
+        return null;
+    }
+  }, [libraryId]);
+
   /**
    * Fallback to Web Speech API
    */
-  const speakWithWebSpeech = useCallback((text, lang = 'en-US', rate = 0.8) => {
+  const speakWithWebSpeech = useCallback((text, lang = 'en-US', rate = 0.8, voiceURI = '') => {
     if (!isSupported) {
       console.warn('Speech synthesis is not supported in this browser');
+      finish();
       return;
     }
 
@@ -112,54 +188,108 @@ const useSpeech = () => {
     utterance.pitch = 1.0;
     utterance.volume = 1.0;
 
-    // Try to use a better English voice if available
-    const voices = window.speechSynthesis.getVoices();
-    const englishVoices = voices.filter(v => v.lang.startsWith('en'));
-    const preferredVoice = englishVoices.find(v =>
+    // Use the chosen voice, otherwise try a better English voice of the accent
+    const allVoices = window.speechSynthesis.getVoices();
+    const englishVoices = allVoices.filter(v => v.lang.startsWith('en'));
+    const accentVoices = englishVoices.filter(v => v.lang.replace('_', '-') === lang);
+    const isBetterVoice = v =>
       v.name.includes('Google') ||
       v.name.includes('Microsoft') ||
       v.name.includes('Samantha') ||
-      v.name.includes('Daniel')
-    ) || englishVoices[0];
+      v.name.includes('Daniel');
+    const preferredVoice = englishVoices.find(v => voiceURI && v.voiceURI === voiceURI) ||
+      accentVoices.find(isBetterVoice) ||
+      accentVoices[0] ||
+      englishVoices.find(isBetterVoice) ||
+      englishVoices[0];
 
     if (preferredVoice) {
       utterance.voice = preferredVoice;
     }
 
     utterance.onstart = () => setIsSpeaking(true);
-    utterance.onend = () => setIsSpeaking(false);
-    utterance.onerror = () => setIsSpeaking(false);
+    utterance.onend = () => {
+      setIsSpeaking(false);
+      finish();
+    };
+    utterance.onerror = () => {
+      setIsSpeaking(false);
+      finish();
+    };
 
     window.speechSynthesis.speak(utterance);
-  }, [isSupported]);
+  }, [isSupported, finish]);
 
   /**
-   * Main speak function - hybrid approach
+   * Main speak function - tries each enabled audio source in order
    * @param {string} text - The word/text to speak
-   * @param {string} lang - Language code (default: 'en-US')
-   * @param {number} rate - Speech rate for Web Speech API fallback
+   * @param {string} lang - Language code, defaults to the accent in preferences ('en-US' or 'en-GB')
+   * @param {number} rate - Playback speed, defaults to the speed in preferences (1 = normal)
+   * @returns {Promise} - Resolves when the word has been spoken, failed or was stopped
    */
-  const speak = useCallback(async (text, lang = 'en-US', rate = 0.8) => {
+  const speak = useCallback(async (text, lang, rate) => {
     // Stop any ongoing audio
     stop();
+    requestRef.current += 1;
+    const request = requestRef.current;
+    const done = new Promise(resolve => {
+      finishRef.current = resolve;
+    });
 
-    // For single English words, try dictionary audio first
-    const isSingleWord = /^[a-zA-Z]+$/.test(text.trim());
+    const preferences = getPreferences();
+    const word = text.trim();
+    const speechLang = lang || (preferences.accent === 'uk' ? 'en-GB' : 'en-US');
+    const speechRate = rate || preferences.speechRate;
+    const accent = speechLang === 'en-GB' ? 'uk' : 'us';
+    const mode = audioSource || preferences.audioMode;
+    const sources = preferences.audioSources.filter(source => {
+      if (mode === 'webspeech') return source === 'webspeech';
+      if (mode === 'dictionary') return source !== 'webspeech';
+      return true;
+    });
 
-    if (audioSource !== 'webspeech' && isSingleWord) {
+    for (const source of sources) {
+      // A newer word was requested while this one was loading
+      if (request !== requestRef.current) return done;
+      if (source === 'webspeech') {
+        speakWithWebSpeech(text, speechLang, speechRate * WEB_SPEECH_RATE_SCALE, preferences.voiceURI);
+        return done;
+      }
       try {
-        await playDictionaryAudio(text.trim());
-        return; // Success with dictionary audio
+        const audioUrl = await resolveAudioUrl(source, word, accent);
+        if (request !== requestRef.current) return done;
+        if (audioUrl) {
+          await playAudioUrl(audioUrl, speechRate);
+          return done; // Success with audio file
+        }
       } catch (error) {
-        console.log('Dictionary audio failed, falling back to Web Speech API:', error.message);
+        console.log(`Audio source ${source} failed, trying the next one:`, error.message);
       }
     }
 
-    // Fallback to Web Speech API
-    if (audioSource !== 'dictionary') {
-      speakWithWebSpeech(text, lang, rate);
+    // No source could play the word
+    if (request === requestRef.current) finish();
+    return done;
+  }, [audioSource, resolveAudioUrl, playAudioUrl, speakWithWebSpeech, stop, finish]);
+
+  /**
+   * Speak a word several times with a pause in between
+   * @param {string} text - The word/text to speak
+   * @param {number} times - Number of times to speak it
+   * @param {number} gapSeconds - Pause between two repeats
+   * @returns {Promise} - Resolves when done or when another word was requested
+   */
+  const speakRepeated = useCallback(async (text, times, gapSeconds) => {
+    for (let i = 0; i < times; i++) {
+      if (i > 0) {
+        const request = requestRef.current;
+        await new Promise(resolve => setTimeout(resolve, gapSeconds * 1000));
+        // Stopped or another word was requested during the pause
+        if (request !== requestRef.current) return;
+      }
+      await speak(text);
     }
-  }, [audioSource, playDictionaryAudio, speakWithWebSpeech, stop]);
+  }, [speak]);
 
   /**
    * Pause the current speech
@@ -185,11 +315,13 @@ const useSpeech = () => {
 
   return {
     speak,
+    speakRepeated,
     stop,
     pause,
     resume,
     isSpeaking,
     isSupported,
+    voices,
     audioSource,
     setAudioSource // 允许用户切换音频源
   };
@@ -0,0 +1,56 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { getPreferences } from '../utils/storageHelper';
+import { isRecognitionSupported, listenOnce } from '../utils/speechRecognition';
+
+/**
+ * Custom hook for recording one spoken word at a time
+ * The recogniser's language follows the accent set in preferences.
+ */
+const useSpeechRecognition = () => {
+  const [isSupported] = useState(isRecognitionSupported);
+  const [isListening, setIsListening] = useState(false);
+  const sessionRef = useRef(null);
+
+  /**
+   * Stop listening; the pending listen() resolves with what was heard so far
+   */
+  const stop = useCallback(() => {
+    if (sessionRef.current) {
+      sessionRef.current.abort();
+    }
+  }, []);
+
+  // Stop the microphone when the component unmounts
+  useEffect(() => stop, [stop]);
+
+  /**
+   * Listen for one utterance
+   * @returns {Promise<Array>} - Recognised alternatives [{transcript, confidence}],
+   *   rejects with an Error carrying the recogniser's error code
+   */
+  const listen = useCallback(async () => {
+    stop();
+    const lang = getPreferences().accent === 'uk' ? 'en-GB' : 'en-US';
+    const session = listenOnce({ lang });
+    sessionRef.current = session;
+    setIsListening(true);
+
+    try {
+      return await session.result;
+    } finally {
+      if (sessionRef.current === session) {
+        sessionRef.current = null;
+        setIsListening(false);
+      }
+    }
+  }, [stop]);
+
+  return {
+    listen,
+    stop,
+    isListening,
+    isSupported
+  };
+};
+
+export default useSpeechRecognition;
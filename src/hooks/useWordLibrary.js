@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadLibrary } from '../utils/libraryLoader';
+
+/**
+ * Custom hook that loads a word library and tracks its loading state
+ * @param {string} libraryId - Library id from the manifest
+ */
+const useWordLibrary = (libraryId) => {
+  const [words, setWords] = useState([]);
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'error'
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    setError(null);
+
+    loadLibrary(libraryId)
+      .then(loadedWords => {
+        if (cancelled) return;
+        setWords(loadedWords);
+        setStatus('ready');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error loading library:', err);
+        setWords([]);
+        setError(err.message);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [libraryId, attempt]);
+
+  /**
+   * Try loading the library again after an error
+   */
+  const reload = useCallback(() => {
+    setAttempt(prev => prev + 1);
+  }, []);
+
+  return {
+    words,
+    status,
+    error,
+    reload
+  };
+};
+
+export default useWordLibrary;
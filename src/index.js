@@ -2,6 +2,11 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { migrateLegacyData } from './utils/profiles';
+import { PROFILE_DATA_KEYS } from './utils/backup';
+
+// 把有学习者之前保存的数据一次性移到默认学习者下
+migrateLegacyData(PROFILE_DATA_KEYS);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,6 @@
+// 让 React 知道测试里的状态更新都包在 act() 中
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+beforeEach(() => {
+  localStorage.clear();
+});
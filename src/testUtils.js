@@ -0,0 +1,139 @@
+/**
+ * Small helpers for rendering components in tests (no testing library needed)
+ */
+
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+// 测试用的单词，第一个单词的例句用的是复数形式
+export const TEST_WORDS = [
+  { word: 'apple', phonetic: '/ˈæpl/', meaning: '苹果', unit: 1, exampleSentence: 'She ate two apples after lunch.' },
+  { word: 'banana', phonetic: '/bəˈnɑːnə/', meaning: '香蕉', unit: 1, exampleSentence: 'Monkeys like to eat a banana.' },
+  { word: 'cherry', phonetic: '/ˈtʃeri/', meaning: '樱桃', unit: 1, exampleSentence: 'The cherry on the cake is red.' },
+  { word: 'grape', phonetic: '/ɡreɪp/', meaning: '葡萄', unit: 1, exampleSentence: 'He picked a grape from the vine.' },
+  { word: 'lemon', phonetic: '/ˈlemən/', meaning: '柠檬', unit: 1, exampleSentence: 'Add some lemon to the tea.' }
+];
+
+/**
+ * Stand-in for useSpeech, as the test environment cannot play audio:
+ * jest.mock('../hooks/useSpeech', () => require('../testUtils').useSpeechStub);
+ * @returns {Object} - The parts of useSpeech the modes use
+ */
+export const useSpeechStub = () => ({
+  speak: () => {},
+  speakRepeated: () => {},
+  stop: () => {},
+  isSpeaking: false,
+  isSupported: true
+});
+
+/**
+ * Render an element into a detached container
+ * @param {Object} element - React element
+ * @returns {Object} - {container, rerender(element), unmount()}
+ */
+export const render = (element) => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  act(() => root.render(element));
+  return {
+    container,
+    rerender: (next) => act(() => root.render(next)),
+    unmount: () => {
+      act(() => root.unmount());
+      container.remove();
+    }
+  };
+};
+
+/**
+ * Find a button by its text
+ * @param {Element} container - Where to look
+ * @param {string|RegExp} text - Exact text or pattern
+ * @returns {Element|undefined} - The button
+ */
+export const getButton = (container, text) => [...container.querySelectorAll('button')]
+  .find(b => (text instanceof RegExp ? text.test(b.textContent) : b.textContent.trim() === text));
+
+/**
+ * Click an element inside act()
+ * @param {Element} element - Element to click
+ */
+export const click = (element) => {
+  act(() => {
+    element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  });
+};
+
+/**
+ * Type into a controlled input or textarea
+ * @param {Element} input - Input element
+ * @param {string} value - New value
+ */
+export const type = (input, value) => {
+  const prototype = Object.getPrototypeOf(input);
+  const setter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+  act(() => {
+    setter.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+};
+
+/**
+ * Submit the form an element belongs to
+ * @param {Element} element - Form or an element inside it
+ */
+export const submit = (element) => {
+  const form = element.closest('form');
+  act(() => {
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  });
+};
+
+/**
+ * Let the clock run, one second at a time so every tick re-renders
+ * (needs jest.useFakeTimers())
+ * @param {number} seconds - Seconds to advance
+ */
+export const tick = (seconds) => {
+  for (let i = 0; i < seconds; i++) {
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+  }
+};
+
+/**
+ * Type an answer into the mode's input and submit it
+ * @param {Element} container - Rendered mode
+ * @param {string} text - Answer
+ */
+export const typeAnswer = (container, text) => {
+  const input = container.querySelector('.word-input');
+  type(input, text);
+  submit(input);
+};
+
+/**
+ * Select one of the options of a multiple-choice mode
+ * @param {Element} container - Rendered mode
+ * @param {string} text - Text of the option
+ */
+export const chooseOption = (container, text) => {
+  click([...container.querySelectorAll('.options-grid button')].find(b => b.textContent === text));
+};
+
+/**
+ * Texts of the options of a multiple-choice mode
+ * @param {Element} container - Rendered mode
+ * @returns {Array} - Option texts in display order
+ */
+export const getOptions = (container) => [...container.querySelectorAll('.options-grid button')].map(b => b.textContent);
+
+/**
+ * Progress of the session as shown, e.g. '2 / 5'
+ * @param {Element} container - Rendered mode
+ * @returns {string} - Progress text
+ */
+export const getProgress = (container) => container.querySelector('.progress-text').textContent;
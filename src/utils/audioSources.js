@@ -0,0 +1,185 @@
+/**
+ * Pronunciation audio sources used by useSpeech: local audio packs served from
+ * public/, dictionary audio kept in Cache Storage and the online dictionary
+ */
+
+import { getLibraryManifest } from './libraryLoader';
+
+export const AUDIO_CACHE_NAME = 'vocabulary-audio-v1';
+
+// 发音来源，默认按此顺序依次尝试
+export const AUDIO_SOURCE_NAMES = {
+  local: '本地音频包',
+  cache: '已缓存的词典音频',
+  online: '在线词典',
+  webspeech: '浏览器朗读'
+};
+
+export const DEFAULT_AUDIO_ORDER = ['local', 'cache', 'online', 'webspeech'];
+
+const ONLINE_TIMEOUT_MS = 3000;
+
+// 在线词典音频源配置
+const DICTIONARY_URLS = {
+  // 有道词典 - 美式发音
+  us: (word) => `https://dict.youdao.com/dictvoice?audio=${encodeURIComponent(word)}&type=2`,
+  // 有道词典 - 英式发音
+  uk: (word) => `https://dict.youdao.com/dictvoice?audio=${encodeURIComponent(word)}&type=1`
+};
+
+// 已加载（或正在加载）的音频包清单，key 为词库 id
+const packCache = {};
+
+/**
+ * Get the online dictionary audio URL of a word
+ * @param {string} word - The word
+ * @param {string} accent - 'us' or 'uk'
+ * @returns {string} - Audio URL
+ */
+export const getDictionaryUrl = (word, accent = 'us') => DICTIONARY_URLS[accent === 'uk' ? 'uk' : 'us'](word);
+
+/**
+ * Load the audio pack manifest of a library, cached after the first call.
+ * A pack is a folder in public/ declared by the library's audioPack field,
+ * holding manifest.json: {"files": {"word": "file.mp3" | {"us": "...", "uk": "..."}}}
+ * @param {string} libraryId - Library id
+ * @returns {Promise<Object|null>} - {base, files}, or null when the library has no pack
+ */
+export const loadAudioPack = (libraryId) => {
+  if (!packCache[libraryId]) {
+    const entry = getLibraryManifest().find(lib => lib.id === libraryId);
+    if (!entry || !entry.audioPack) {
+      packCache[libraryId] = Promise.resolve(null);
+    } else {
+      const base = `${process.env.PUBLIC_URL}/${entry.audioPack}`;
+      packCache[libraryId] = fetch(`${base}/manifest.json`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(manifest => (manifest && manifest.files ? { base, files: manifest.files } : null))
+        .catch(error => {
+          console.warn(`Audio pack of ${libraryId} is not available:`, error.message);
+          return null;
+        });
+    }
+  }
+  return packCache[libraryId];
+};
+
+/**
+ * Find a word in the library's audio pack
+ * @param {string} libraryId - Library id
+ * @param {string} word - The word
+ * @param {string} accent - 'us' or 'uk'
+ * @returns {Promise<string|null>} - Audio URL, or null if the pack has no file for the word
+ */
+export const getLocalAudioUrl = async (libraryId, word, accent = 'us') => {
+  const pack = libraryId ? await loadAudioPack(libraryId) : null;
+  if (!pack) return null;
+
+  const file = pack.files[word] || pack.files[word.toLowerCase()];
+  if (!file) return null;
+  const name = typeof file === 'string' ? file : file[accent] || file.us || file.uk;
+  return name ? `${pack.base}/${name}` : null;
+};
+
+/**
+ * Open the audio cache
+ * @returns {Promise<Cache>} - Rejects when Cache Storage is unavailable (e.g. not https)
+ */
+const openCache = () => (
+  'caches' in window
+    ? window.caches.open(AUDIO_CACHE_NAME)
+    : Promise.reject(new Error('Cache Storage is not supported'))
+);
+
+/**
+ * Get cached dictionary audio
+ * @param {string} url - Dictionary audio URL
+ * @returns {Promise<string|null>} - Object URL of the cached audio, or null
+ */
+export const getCachedAudioUrl = async (url) => {
+  try {
+    const cache = await openCache();
+    const response = await cache.match(url);
+    return response ? URL.createObjectURL(await response.blob()) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Download dictionary audio and keep a copy in Cache Storage.
+ * The dictionary must allow cross-origin requests, otherwise the fetch fails with
+ * a TypeError and nothing is cached: a no-cors response can't be read back into
+ * a playable blob.
+ * @param {string} url - Dictionary audio URL
+ * @returns {Promise<string>} - Object URL of the downloaded audio
+ */
+export const fetchAndCacheAudio = async (url) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ONLINE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Dictionary audio request failed: ${response.status}`);
+    }
+    const blob = await response.blob();
+    try {
+      const cache = await openCache();
+      await cache.put(url, new Response(blob, { headers: { 'Content-Type': blob.type } }));
+    } catch (error) {
+      console.warn('Could not cache dictionary audio:', error.message);
+    }
+    return URL.createObjectURL(blob);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Download the dictionary audio of many words into the cache, one at a time
+ * @param {Array} words - Words to download
+ * @param {string} accent - 'us' or 'uk'
+ * @param {Function} onProgress - Called with {done, total, failed} after each word
+ * @returns {Promise<Object>} - {done, total, failed}
+ */
+export const cacheWordsAudio = async (words, accent, onProgress) => {
+  const progress = { done: 0, total: words.length, failed: 0 };
+  const cache = await openCache();
+
+  for (const word of words) {
+    const url = getDictionaryUrl(word, accent);
+    if (!(await cache.match(url))) {
+      try {
+        URL.revokeObjectURL(await fetchAndCacheAudio(url));
+      } catch (error) {
+        progress.failed += 1;
+      }
+    }
+    progress.done += 1;
+    if (onProgress) onProgress({ ...progress });
+  }
+
+  return progress;
+};
+
+/**
+ * Count the cached audio files
+ * @returns {Promise<number>} - Number of cached files, 0 when the cache is unavailable
+ */
+export const getAudioCacheCount = async () => {
+  try {
+    const cache = await openCache();
+    return (await cache.keys()).length;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Delete all cached audio
+ * @returns {Promise<boolean>} - True if the cache was deleted
+ */
+export const clearAudioCache = () => (
+  'caches' in window ? window.caches.delete(AUDIO_CACHE_NAME) : Promise.resolve(false)
+);
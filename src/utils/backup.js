@@ -0,0 +1,362 @@
+/**
+ * Backup and restore of all learner data as one versioned JSON file.
+ * Learner sections belong to the active profile, libraries are shared.
+ */
+
+import { HISTORY_KEY, WORD_SCOPE_KEY, PREFERENCES_KEY } from './storageHelper';
+import { SCHEDULE_KEY } from './reviewScheduler';
+import { RECORDS_KEY } from './wordRecords';
+import { NOTEBOOK_KEY } from './mistakeNotebook';
+import { CUSTOM_LIBRARIES_KEY } from './customLibraries';
+import { OVERLAYS_KEY } from './libraryOverlays';
+import { profileKey, getActiveProfile } from './profiles';
+
+export const BACKUP_APP = 'vocabulary-app';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value when the key is missing or unreadable
+ * @returns {*} - Parsed value
+ */
+const readKey = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Merge { [libraryId]: { [word]: value } } maps word by word
+ * @param {Object} local - Local data
+ * @param {Object} incoming - Data from the backup
+ * @param {Function} pick - (localValue, incomingValue) => chosen value
+ * @returns {Object} - Merged data
+ */
+const mergeByLibraryWord = (local, incoming, pick) => {
+  const merged = { ...local };
+  Object.keys(incoming).forEach(libraryId => {
+    const words = { ...(merged[libraryId] || {}) };
+    Object.keys(incoming[libraryId]).forEach(word => {
+      const incomingValue = incoming[libraryId][word];
+      words[word] = words[word] ? pick(words[word], incomingValue) : incomingValue;
+    });
+    merged[libraryId] = words;
+  });
+  return merged;
+};
+
+/**
+ * Merge maps keyed by id, counting entries that differ on both sides
+ * @param {Object} local - Local map
+ * @param {Object} incoming - Map from the backup
+ * @param {boolean} preferBackup - Use the backup value on conflict
+ * @returns {Object} - {merged, added, conflicts}
+ */
+const mergeById = (local, incoming, preferBackup) => {
+  const merged = { ...local };
+  let added = 0;
+  let conflicts = 0;
+
+  Object.keys(incoming).forEach(id => {
+    if (!(id in merged)) {
+      merged[id] = incoming[id];
+      added += 1;
+    } else if (JSON.stringify(merged[id]) !== JSON.stringify(incoming[id])) {
+      conflicts += 1;
+      if (preferBackup) merged[id] = incoming[id];
+    }
+  });
+
+  return { merged, added, conflicts };
+};
+
+/**
+ * Whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a value is an ISO date string
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Turn an array of objects with an id into a map
+ * @param {Array} list - Array of {id}
+ * @returns {Object} - { [id]: item }
+ */
+const toIdMap = (list) => {
+  const map = {};
+  list.forEach(item => {
+    map[item.id] = item;
+  });
+  return map;
+};
+
+// 每类数据的存储键与合并方式
+// isValidItem 检查列表中的每一项，isValidEntry 检查 { [libraryId]: { [word]: entry } } 中的每个 entry
+const SECTIONS = {
+  history: {
+    key: HISTORY_KEY,
+    perProfile: true,
+    empty: [],
+    isValidItem: (item) => item.id !== undefined && item.id !== null && isDateString(item.timestamp),
+    merge: (local, incoming, preferBackup) => {
+      const { merged, added, conflicts } = mergeById(toIdMap(local), toIdMap(incoming), preferBackup);
+      const data = Object.values(merged).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      return { data, added, conflicts };
+    }
+  },
+  reviewSchedule: {
+    key: SCHEDULE_KEY,
+    perProfile: true,
+    empty: {},
+    isValidEntry: (card) => Number.isInteger(card.box) && card.box >= 0 && Number.isFinite(card.lastReviewed),
+    merge: (local, incoming) => ({
+      data: mergeByLibraryWord(local, incoming, (a, b) => (b.lastReviewed > a.lastReviewed ? b : a))
+    })
+  },
+  wordRecords: {
+    key: RECORDS_KEY,
+    perProfile: true,
+    empty: {},
+    isValidEntry: (record) => Array.isArray(record.attempts) && record.attempts.every(isPlainObject),
+    merge: (local, incoming) => ({
+      data: mergeByLibraryWord(local, incoming, (a, b) => {
+        const seen = new Set(a.attempts.map(t => `${t.sessionId}|${t.timestamp}|${t.mode}`));
+        const attempts = [...a.attempts, ...b.attempts.filter(t => !seen.has(`${t.sessionId}|${t.timestamp}|${t.mode}`))];
+        return { attempts: attempts.sort((x, y) => new Date(x.timestamp) - new Date(y.timestamp)) };
+      })
+    })
+  },
+  mistakes: {
+    key: NOTEBOOK_KEY,
+    perProfile: true,
+    empty: {},
+    isValidEntry: (entry) => isDateString(entry.lastMissed),
+    merge: (local, incoming) => ({
+      data: mergeByLibraryWord(local, incoming, (a, b) => (new Date(b.lastMissed) > new Date(a.lastMissed) ? b : a))
+    })
+  },
+  customLibraries: {
+    key: CUSTOM_LIBRARIES_KEY,
+    empty: [],
+    merge: (local, incoming, preferBackup) => {
+      const { merged, added, conflicts } = mergeById(toIdMap(local), toIdMap(incoming), preferBackup);
+      return { data: Object.values(merged), added, conflicts };
+    }
+  },
+  libraryOverlays: {
+    key: OVERLAYS_KEY,
+    empty: {},
+    merge: (local, incoming, preferBackup) => {
+      const { merged, added, conflicts } = mergeById(local, incoming, preferBackup);
+      return { data: merged, added, conflicts };
+    }
+  },
+  settings: {
+    key: WORD_SCOPE_KEY,
+    perProfile: true,
+    empty: {},
+    merge: (local, incoming, preferBackup) => {
+      const { merged } = mergeById(local, incoming, preferBackup);
+      return { data: merged };
+    }
+  },
+  preferences: {
+    key: PREFERENCES_KEY,
+    perProfile: true,
+    empty: {},
+    merge: (local, incoming, preferBackup) => ({
+      data: preferBackup ? { ...local, ...incoming } : { ...incoming, ...local }
+    })
+  }
+};
+
+// 按学习者分开保存的存储键
+export const PROFILE_DATA_KEYS = Object.values(SECTIONS)
+  .filter(section => section.perProfile)
+  .map(section => section.key);
+
+/**
+ * Get the storage key of a section
+ * @param {Object} section - Entry of SECTIONS
+ * @returns {string} - Storage key
+ */
+const storageKeyOf = (section) => (section.perProfile ? profileKey(section.key) : section.key);
+
+/**
+ * Whether a value has the shape of a section: a list of objects or a plain object
+ * @param {*} value - Section data
+ * @param {Object} section - Entry of SECTIONS
+ * @returns {boolean}
+ */
+const hasSectionShape = (value, section) => (
+  Array.isArray(section.empty)
+    ? Array.isArray(value) && value.every(isPlainObject)
+    : isPlainObject(value)
+);
+
+/**
+ * Whether backup data of a section can be stored: the right shape and every
+ * entry with the fields the app reads (a bad entry would break every later load)
+ * @param {*} value - Section data
+ * @param {Object} section - Entry of SECTIONS
+ * @returns {boolean}
+ */
+const isValidSection = (value, section) => {
+  if (!hasSectionShape(value, section)) return false;
+  if (section.isValidItem) return value.every(section.isValidItem);
+  if (section.isValidEntry) {
+    return Object.values(value).every(words => isPlainObject(words) &&
+      Object.values(words).every(entry => isPlainObject(entry) && section.isValidEntry(entry)));
+  }
+  return true;
+};
+
+/**
+ * Read the stored data of a section, falling back to empty when it is damaged
+ * @param {Object} section - Entry of SECTIONS
+ * @returns {*} - Section data
+ */
+const readSection = (section) => {
+  const value = readKey(storageKeyOf(section), section.empty);
+  return hasSectionShape(value, section) ? value : section.empty;
+};
+
+/**
+ * Collect all learner data into a backup object
+ * @returns {Object} - {app, version, exportedAt, profile, data}
+ */
+export const createBackup = () => {
+  const data = {};
+  Object.keys(SECTIONS).forEach(name => {
+    data[name] = readSection(SECTIONS[name]);
+  });
+
+  const { name, avatar } = getActiveProfile();
+
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: { name, avatar },
+    data
+  };
+};
+
+/**
+ * Download the backup as a JSON file
+ */
+export const downloadBackup = () => {
+  const backup = createBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `vocabulary-backup-${backup.profile.name}-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Parse and check a backup file
+ * @param {string} text - File content
+ * @returns {Object} - {backup} on success or {error} with a message
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { error: '文件不是有效的 JSON' };
+  }
+
+  if (!backup || backup.app !== BACKUP_APP || !backup.data || typeof backup.data !== 'object') {
+    return { error: '这不是背单词应用的备份文件' };
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return { error: `备份文件版本 (${backup.version}) 高于当前应用支持的版本，请先升级应用` };
+  }
+
+  // 每类数据及其中每一条都必须是应用能读取的格式，否则恢复后读取时会出错
+  const damaged = Object.keys(SECTIONS)
+    .filter(name => backup.data[name] !== undefined && !isValidSection(backup.data[name], SECTIONS[name]));
+  if (damaged.length > 0) {
+    return { error: `备份文件中的数据格式不正确: ${damaged.join(', ')}` };
+  }
+
+  return { backup };
+};
+
+/**
+ * Restore a backup into localStorage
+ * All sections are merged first and only then written; if a write fails the
+ * sections already written are put back, so a restore never lands half-way
+ * @param {Object} backup - Parsed backup from parseBackup
+ * @param {Object} options - {mode: 'merge' | 'replace', preferBackup: boolean}
+ * @returns {Object} - {sessionsAdded, sessionConflicts, librariesAdded, libraryConflicts}
+ * @throws {Error} - When a section has the wrong shape or localStorage cannot be written
+ */
+export const restoreBackup = (backup, { mode = 'merge', preferBackup = false } = {}) => {
+  const report = { sessionsAdded: 0, sessionConflicts: 0, librariesAdded: 0, libraryConflicts: 0 };
+  const writes = [];
+
+  Object.keys(SECTIONS).forEach(name => {
+    const section = SECTIONS[name];
+    // 替换模式下备份里没有的数据也会被清空
+    const incoming = backup.data[name] === undefined && mode === 'replace'
+      ? section.empty
+      : backup.data[name];
+    if (incoming === undefined) return;
+    if (!isValidSection(incoming, section)) {
+      throw new Error(`Backup section ${name} has the wrong shape`);
+    }
+
+    let data = incoming;
+    if (mode === 'merge') {
+      const result = section.merge(readSection(section), incoming, preferBackup);
+      data = result.data;
+      if (name === 'history') {
+        report.sessionsAdded = result.added;
+        report.sessionConflicts = result.conflicts;
+      } else if (name === 'customLibraries') {
+        report.librariesAdded = result.added;
+        report.libraryConflicts = result.conflicts;
+      }
+    } else if (name === 'history') {
+      report.sessionsAdded = incoming.length;
+    } else if (name === 'customLibraries') {
+      report.librariesAdded = incoming.length;
+    }
+
+    writes.push({ key: storageKeyOf(section), value: JSON.stringify(data) });
+  });
+
+  const previous = writes.map(({ key }) => ({ key, value: localStorage.getItem(key) }));
+  try {
+    writes.forEach(({ key, value }) => localStorage.setItem(key, value));
+  } catch (error) {
+    previous.forEach(({ key, value }) => {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+    });
+    throw error;
+  }
+
+  return report;
+};
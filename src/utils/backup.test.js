@@ -0,0 +1,98 @@
+import { parseBackup, restoreBackup, createBackup, BACKUP_APP, BACKUP_VERSION } from './backup';
+import { getHistory, HISTORY_KEY } from './storageHelper';
+import { profileKey } from './profiles';
+import { RECORDS_KEY } from './wordRecords';
+
+const makeFile = (data) => JSON.stringify({ app: BACKUP_APP, version: BACKUP_VERSION, data });
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('parseBackup', () => {
+  it('rejects sections with the wrong shape', () => {
+    expect(parseBackup(makeFile({ history: {} })).error).toMatch('history');
+    expect(parseBackup(makeFile({ history: 'oops' })).error).toMatch('history');
+    expect(parseBackup(makeFile({ wordRecords: [] })).error).toMatch('wordRecords');
+    expect(parseBackup(makeFile({ history: [1, 2] })).error).toMatch('history');
+  });
+
+  it('rejects entries the app cannot read', () => {
+    expect(parseBackup(makeFile({ wordRecords: { k8: { apple: {} } } })).error).toMatch('wordRecords');
+    expect(parseBackup(makeFile({ wordRecords: { k8: { apple: { attempts: [null] } } } })).error).toMatch('wordRecords');
+    expect(parseBackup(makeFile({ wordRecords: { k8: [] } })).error).toMatch('wordRecords');
+    expect(parseBackup(makeFile({ reviewSchedule: { k8: { apple: { box: '2', lastReviewed: 1 } } } })).error)
+      .toMatch('reviewSchedule');
+    expect(parseBackup(makeFile({ mistakes: { k8: { apple: { misses: 1 } } } })).error).toMatch('mistakes');
+    expect(parseBackup(makeFile({ history: [{ id: 1 }] })).error).toMatch('history');
+  });
+
+  it('accepts well-formed entries', () => {
+    const { error } = parseBackup(makeFile({
+      history: [{ id: 1, timestamp: '2026-10-01T00:00:00.000Z' }],
+      reviewSchedule: { k8: { apple: { box: 2, lastReviewed: 1790000000000 } } },
+      wordRecords: { k8: { apple: { attempts: [{ correct: true, timestamp: '2026-10-01T00:00:00.000Z' }] } } },
+      mistakes: { k8: { apple: { lastMissed: '2026-10-01T00:00:00.000Z' } } }
+    }));
+    expect(error).toBeUndefined();
+  });
+
+  it('accepts a backup created by the app', () => {
+    const { backup, error } = parseBackup(JSON.stringify(createBackup()));
+    expect(error).toBeUndefined();
+    expect(backup.data.history).toEqual([]);
+  });
+});
+
+describe('restoreBackup', () => {
+  it('writes nothing when a section is damaged', () => {
+    const session = { id: 1, timestamp: '2026-10-01T00:00:00.000Z', wordCount: 1, correct: 1 };
+    localStorage.setItem(profileKey(HISTORY_KEY), JSON.stringify([session]));
+
+    const backup = { app: BACKUP_APP, version: BACKUP_VERSION, data: { history: [], mistakes: 'oops' } };
+    expect(() => restoreBackup(backup, { mode: 'replace' })).toThrow();
+    expect(getHistory()).toEqual([session]);
+  });
+
+  it('does not store a malformed word record', () => {
+    const backup = { app: BACKUP_APP, version: BACKUP_VERSION, data: { wordRecords: { k8: { apple: {} } } } };
+    expect(() => restoreBackup(backup, { mode: 'replace' })).toThrow('wordRecords');
+    expect(localStorage.getItem(profileKey(RECORDS_KEY))).toBeNull();
+  });
+
+  it('puts back the sections already written when a write fails', () => {
+    const session = { id: 1, timestamp: '2026-10-01T00:00:00.000Z', wordCount: 1, correct: 1 };
+    localStorage.setItem(profileKey(HISTORY_KEY), JSON.stringify([session]));
+
+    const setItem = Storage.prototype.setItem;
+    let calls = 0;
+    const spy = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      calls += 1;
+      if (calls === 3) throw new Error('quota');
+      return setItem.call(this, key, value);
+    });
+
+    const backup = { app: BACKUP_APP, version: BACKUP_VERSION, data: { history: [] } };
+    expect(() => restoreBackup(backup, { mode: 'replace' })).toThrow('quota');
+    spy.mockRestore();
+
+    expect(getHistory()).toEqual([session]);
+  });
+
+  it('merges history by id', () => {
+    const local = { id: 1, timestamp: '2026-10-01T00:00:00.000Z', wordCount: 1, correct: 1 };
+    const incoming = { id: 2, timestamp: '2026-10-02T00:00:00.000Z', wordCount: 2, correct: 1 };
+    localStorage.setItem(profileKey(HISTORY_KEY), JSON.stringify([local]));
+
+    const report = restoreBackup({ app: BACKUP_APP, version: BACKUP_VERSION, data: { history: [incoming, local] } });
+    expect(report.sessionsAdded).toBe(1);
+    expect(getHistory().map(h => h.id)).toEqual([2, 1]);
+  });
+});
+
+describe('getHistory', () => {
+  it('returns an empty list when the stored history is not a list', () => {
+    localStorage.setItem(profileKey(HISTORY_KEY), '{}');
+    expect(getHistory()).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * User word libraries created by importing files, stored in localStorage
+ */
+
+export const CUSTOM_LIBRARIES_KEY = 'vocabulary_custom_libraries';
+
+/**
+ * Get all user libraries
+ * @returns {Array} - Array of {id, name, description, createdAt, words}
+ */
+export const getCustomLibraries = () => {
+  try {
+    const libraries = localStorage.getItem(CUSTOM_LIBRARIES_KEY);
+    return libraries ? JSON.parse(libraries) : [];
+  } catch (error) {
+    console.error('Error reading custom libraries:', error);
+    return [];
+  }
+};
+
+/**
+ * Get one user library
+ * @param {string} libraryId - Library id
+ * @returns {Object|undefined} - The library
+ */
+export const getCustomLibrary = (libraryId) => {
+  return getCustomLibraries().find(lib => lib.id === libraryId);
+};
+
+/**
+ * Create a user library
+ * @param {string} name - Display name
+ * @param {Array} words - Validated word objects
+ * @returns {Object|null} - The saved library, or null when storage is full
+ */
+export const saveCustomLibrary = (name, words) => {
+  try {
+    const libraries = getCustomLibraries();
+    const library = {
+      id: `custom-${Date.now()}`,
+      name,
+      description: `自定义 · ${words.length} 个单词`,
+      createdAt: new Date().toISOString(),
+      words
+    };
+    libraries.push(library);
+    localStorage.setItem(CUSTOM_LIBRARIES_KEY, JSON.stringify(libraries));
+    return library;
+  } catch (error) {
+    console.error('Error saving custom library:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace the words of a user library
+ * @param {string} libraryId - Library id
+ * @param {Array} words - Validated word objects
+ * @returns {boolean} - True on success
+ */
+export const updateCustomLibraryWords = (libraryId, words) => {
+  try {
+    const libraries = getCustomLibraries().map(lib => (
+      lib.id === libraryId
+        ? { ...lib, words, description: `自定义 · ${words.length} 个单词` }
+        : lib
+    ));
+    localStorage.setItem(CUSTOM_LIBRARIES_KEY, JSON.stringify(libraries));
+    return true;
+  } catch (error) {
+    console.error('Error updating custom library:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete a user library
+ * @param {string} libraryId - Library id
+ */
+export const deleteCustomLibrary = (libraryId) => {
+  try {
+    const libraries = getCustomLibraries().filter(lib => lib.id !== libraryId);
+    localStorage.setItem(CUSTOM_LIBRARIES_KEY, JSON.stringify(libraries));
+  } catch (error) {
+    console.error('Error deleting custom library:', error);
+  }
+};
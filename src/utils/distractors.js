@@ -0,0 +1,100 @@
+/**
+ * Distractor engine for fill-in-the-blank options
+ * Prefers words that look like the answer (length, spelling), come from the
+ * same unit, are of the same type (phrase vs single word) and, when the
+ * library records it, the same part of speech
+ */
+
+import {
+  editDistance,
+  shuffleArray,
+  sentenceContainsWord,
+  getWordForms,
+  getAcceptedSpellings,
+  normalizeAnswer
+} from './wordHelpers';
+
+// 会话单词少于该数量时，从整个词库挑选干扰项
+const MIN_SESSION_CANDIDATES = 9;
+
+// 从得分最高的若干候选中随机挑选，避免每次选项都一样
+const TOP_CANDIDATE_EXTRA = 3;
+
+const isPhrase = (word) => /\s/.test(word.trim());
+
+/**
+ * Score how good a candidate is as a distractor for the target
+ * @param {Object} target - Word object being asked
+ * @param {Object} candidate - Candidate word object
+ * @returns {number} - Higher is a better distractor
+ */
+export const scoreDistractor = (target, candidate) => {
+  const a = target.word;
+  const b = candidate.word;
+  const maxLength = Math.max(a.length, b.length);
+
+  const lengthScore = 1 - Math.abs(a.length - b.length) / maxLength;
+  const spellingScore = 1 - editDistance(a, b) / maxLength;
+  const unitScore = candidate.unit === target.unit ? 1 : 0;
+  const typeScore = isPhrase(a) === isPhrase(b) ? 1 : 0;
+  // 未标注词性的单词不加分也不减分
+  const posScore = target.partOfSpeech && candidate.partOfSpeech === target.partOfSpeech ? 1 : 0;
+
+  return typeScore * 3 + spellingScore * 2 + posScore * 2 + lengthScore + unitScore;
+};
+
+/**
+ * Check whether a candidate must never be offered
+ * @param {Object} target - Word object being asked
+ * @param {Object} candidate - Candidate word object
+ * @param {Set} targetForms - Normalised forms of the target (getWordForms)
+ * @returns {boolean} - True if the candidate is excluded
+ */
+const isExcluded = (target, candidate, targetForms) => {
+  return (
+    // 目标词的其他拼写或词形（centimetre / centimeter）放进空格里同样正确
+    getAcceptedSpellings(candidate).some(spelling => targetForms.has(normalizeAnswer(spelling))) ||
+    // 同义（释义相同）的单词放进句子里也可能是对的
+    candidate.meaning === target.meaning ||
+    // 已经出现在句子其他位置的单词会让题目显得奇怪
+    sentenceContainsWord(target.exampleSentence, candidate)
+  );
+};
+
+/**
+ * Keep the first occurrence of every word
+ * @param {Array} words - Array of word objects
+ * @returns {Array} - Words without duplicates
+ */
+const uniqueWords = (words) => {
+  const seen = new Set();
+  return words.filter(w => {
+    const key = w.word.trim().toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Generate distractors for a fill-in-the-blank question
+ * @param {Object} target - Word object being asked
+ * @param {Array} sessionWords - Words of the current session
+ * @param {Array} libraryWords - All words of the library, used when the session is small
+ * @param {number} count - Number of distractors
+ * @returns {Array} - Array of distractor strings
+ */
+export const generateDistractors = (target, sessionWords, libraryWords = [], count = 3) => {
+  const targetForms = new Set(getWordForms(target).map(normalizeAnswer));
+  let candidates = uniqueWords(sessionWords).filter(w => !isExcluded(target, w, targetForms));
+  if (candidates.length < MIN_SESSION_CANDIDATES) {
+    candidates = uniqueWords([...sessionWords, ...libraryWords]).filter(w => !isExcluded(target, w, targetForms));
+  }
+
+  const ranked = candidates
+    .map(w => ({ word: w.word, score: scoreDistractor(target, w) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count + TOP_CANDIDATE_EXTRA);
+
+  return shuffleArray(ranked).slice(0, count).map(c => c.word);
+};
@@ -0,0 +1,46 @@
+import { generateDistractors, scoreDistractor } from './distractors';
+
+const word = (w, extra = {}) => ({
+  word: w,
+  meaning: `${w} 的意思`,
+  unit: 1,
+  partOfSpeech: 'noun',
+  exampleSentence: 'The table is one hundred ___ long.',
+  ...extra
+});
+
+describe('generateDistractors', () => {
+  const target = word('centimetre', { alternatives: ['centimeter'], exampleSentence: 'It is ten centimetres long.' });
+
+  it('never offers another spelling of the target', () => {
+    const library = [target, word('centimeter'), word('kilometre'), word('millimetre'), word('metre'), word('inch')];
+    for (let i = 0; i < 20; i++) {
+      expect(generateDistractors(target, [target], library, 3)).not.toContain('centimeter');
+    }
+  });
+
+  it('never offers an inflected form of the target', () => {
+    const library = [target, word('centimetres'), word('kilometre'), word('millimetre'), word('metre')];
+    for (let i = 0; i < 20; i++) {
+      expect(generateDistractors(target, [target], library, 3)).not.toContain('centimetres');
+    }
+  });
+
+  it('excludes a candidate whose alternative spelling is the target', () => {
+    const plain = word('centimetre', { exampleSentence: 'It is ten centimetres long.' });
+    const library = [plain, word('centimeter', { alternatives: ['centimetre'] }), word('kilometre'), word('metre'), word('inch')];
+    expect(generateDistractors(plain, [plain], library, 3)).not.toContain('centimeter');
+  });
+
+  it('still returns enough distractors', () => {
+    const library = [target, word('kilometre'), word('millimetre'), word('metre'), word('inch')];
+    expect(generateDistractors(target, [target], library, 3)).toHaveLength(3);
+  });
+
+  it('prefers a candidate of the same part of speech', () => {
+    const paint = word('paint', { partOfSpeech: 'verb', exampleSentence: 'We paint the walls.' });
+    const print = word('print', { partOfSpeech: 'verb' });
+    const point = word('point', { partOfSpeech: 'noun' });
+    expect(scoreDistractor(paint, print)).toBeGreaterThan(scoreDistractor(paint, point));
+  });
+});
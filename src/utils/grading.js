@@ -0,0 +1,246 @@
+/**
+ * Spelling answer grading
+ * Compares the answer with the word letter by letter so near-misses can be
+ * explained to the student and optionally earn partial credit
+ */
+
+import { checkAnswer, getAcceptedSpellings, normalizeAnswer } from './wordHelpers';
+
+// 拼写接近时可获得的分数（满分 1）
+export const PARTIAL_CREDIT = 0.5;
+
+// 错误类型，记录在结果中供之后分析
+export const ERROR_TYPES = {
+  transposition: '字母顺序颠倒',
+  omission: '漏写字母',
+  extra: '多写字母',
+  substitution: '写错字母',
+  mixed: '多处拼写错误',
+  wrong: '拼写错误',
+  missedWords: '句子中有漏写或写错的单词',
+  mispronounced: '读音未被识别为该单词',
+  skipped: '未作答'
+};
+
+/**
+ * Letter-level diff between the answer and the word (case-insensitive),
+ * allowing insertions, deletions, substitutions and swaps of adjacent letters
+ * @param {string} answer - User's input
+ * @param {string} target - The correct word
+ * @returns {Object} - {ops, distance} where ops is an array of
+ *   {type: 'match' | 'missing' | 'extra' | 'wrong' | 'swap', expected, actual}
+ */
+export const diffLetters = (answer, target) => {
+  const a = answer.trim();
+  const t = target.trim();
+  const al = a.toLowerCase();
+  const tl = t.toLowerCase();
+  const n = a.length;
+  const m = t.length;
+
+  const d = Array.from({ length: n + 1 }, (_, i) =>
+    Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  const isSwap = (i, j) => i > 1 && j > 1 && al[i - 1] === tl[j - 2] && al[i - 2] === tl[j - 1];
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const cost = al[i - 1] === tl[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (isSwap(i, j)) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  // 从右下角回溯出每一步操作
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && al[i - 1] === tl[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+      ops.push({ type: 'match', expected: t[j - 1], actual: a[i - 1] });
+      i -= 1;
+      j -= 1;
+    } else if (isSwap(i, j) && d[i][j] === d[i - 2][j - 2] + 1) {
+      ops.push({ type: 'swap', expected: t.slice(j - 2, j), actual: a.slice(i - 2, i) });
+      i -= 2;
+      j -= 2;
+    } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+      ops.push({ type: 'wrong', expected: t[j - 1], actual: a[i - 1] });
+      i -= 1;
+      j -= 1;
+    } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+      ops.push({ type: 'missing', expected: t[j - 1], actual: '' });
+      j -= 1;
+    } else {
+      ops.push({ type: 'extra', expected: '', actual: a[i - 1] });
+      i -= 1;
+    }
+  }
+
+  return { ops: ops.reverse(), distance: d[n][m] };
+};
+
+/**
+ * Largest number of edits still counted as a near-miss
+ * @param {string} word - The correct word
+ * @returns {number} - 1 for short words, 2 for longer ones
+ */
+const nearMissLimit = (word) => (word.trim().length >= 8 ? 2 : 1);
+
+/**
+ * Name the kind of mistake from the diff
+ * @param {Array} ops - Diff from diffLetters
+ * @param {boolean} nearMiss - Whether the answer was close
+ * @returns {string} - Key of ERROR_TYPES
+ */
+const classifyError = (ops, nearMiss) => {
+  const types = new Set(ops.filter(op => op.type !== 'match').map(op => op.type));
+  if (!nearMiss) return 'wrong';
+  if (types.size > 1) return 'mixed';
+  if (types.has('swap')) return 'transposition';
+  if (types.has('missing')) return 'omission';
+  if (types.has('extra')) return 'extra';
+  return 'substitution';
+};
+
+/**
+ * Grade a spelling answer against the word and its alternative spellings
+ * @param {string} userAnswer - User's input
+ * @param {Object} wordObj - Word object ({word, alternatives})
+ * @param {Object} options - {partialCredit: award PARTIAL_CREDIT for near-misses}
+ * @returns {Object} - {correct, score, nearMiss, errorType, diff, distance}
+ */
+export const gradeAnswer = (userAnswer, wordObj, { partialCredit = false } = {}) => {
+  if (!userAnswer.trim()) {
+    return { correct: false, score: 0, nearMiss: false, errorType: 'skipped', diff: [], distance: null };
+  }
+
+  const spellings = getAcceptedSpellings(wordObj);
+  const correct = checkAnswer(userAnswer, spellings[0], spellings.slice(1));
+  // 与最接近的写法比较
+  const closest = spellings
+    .map(spelling => ({ spelling, ...diffLetters(userAnswer, spelling) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  const { ops, distance } = closest;
+  const nearMiss = !correct && distance <= nearMissLimit(closest.spelling);
+
+  return {
+    correct,
+    score: correct ? 1 : nearMiss && partialCredit ? PARTIAL_CREDIT : 0,
+    nearMiss,
+    errorType: correct ? null : classifyError(ops, nearMiss),
+    diff: ops,
+    distance
+  };
+};
+
+/**
+ * Split a sentence into words, keeping the original text for display
+ * @param {string} text - Sentence
+ * @returns {Array} - Array of {text, key} where key ignores case and punctuation
+ */
+const tokenizeSentence = (text) => text
+  .trim()
+  .split(/\s+/)
+  .map(token => ({ text: token, key: normalizeAnswer(token).replace(/[^a-z0-9']/g, '') }))
+  .filter(token => token.key);
+
+/**
+ * Grade a dictated sentence word by word
+ * @param {string} userAnswer - User's input
+ * @param {string} sentence - The sentence that was read aloud
+ * @param {Object} options - {partialCredit: score by the share of correct words}
+ * @returns {Object} - {correct, score, errorType, words, correctCount, total} where words is an array of
+ *   {type: 'match' | 'missing' | 'wrong' | 'extra', expected, actual}
+ */
+export const gradeSentence = (userAnswer, sentence, { partialCredit = false } = {}) => {
+  const expected = tokenizeSentence(sentence);
+  const answer = tokenizeSentence(userAnswer);
+  const n = answer.length;
+  const m = expected.length;
+
+  const d = Array.from({ length: n + 1 }, (_, i) =>
+    Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const cost = answer[i - 1].key === expected[j - 1].key ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+    }
+  }
+
+  const words = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (answer[i - 1].key === expected[j - 1].key ? 0 : 1)) {
+      const type = answer[i - 1].key === expected[j - 1].key ? 'match' : 'wrong';
+      words.push({ type, expected: expected[j - 1].text, actual: answer[i - 1].text });
+      i -= 1;
+      j -= 1;
+    } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+      words.push({ type: 'missing', expected: expected[j - 1].text, actual: '' });
+      j -= 1;
+    } else {
+      words.push({ type: 'extra', expected: '', actual: answer[i - 1].text });
+      i -= 1;
+    }
+  }
+  words.reverse();
+
+  const correctCount = words.filter(w => w.type === 'match').length;
+  const correct = n > 0 && d[n][m] === 0;
+  let errorType = null;
+  if (n === 0) {
+    errorType = 'skipped';
+  } else if (!correct) {
+    errorType = 'missedWords';
+  }
+
+  return {
+    correct,
+    score: correct ? 1 : partialCredit && m > 0 ? Math.round((correctCount / m) * 100) / 100 : 0,
+    errorType,
+    words,
+    correctCount,
+    total: m
+  };
+};
+
+/**
+ * Grade a spoken answer using the speech recogniser's alternatives.
+ * Passes if any alternative is an accepted spelling of the word; when none
+ * is, the closest alternative is reported as what was heard.
+ * @param {Array} alternatives - Recognised [{transcript, confidence}]
+ * @param {Object} wordObj - Word object ({word, alternatives})
+ * @param {Object} options - {partialCredit: award PARTIAL_CREDIT when the closest alternative is a near-miss}
+ * @returns {Object} - {correct, score, errorType, heard, confidence}
+ */
+export const gradeSpeech = (alternatives, wordObj, { partialCredit = false } = {}) => {
+  if (alternatives.length === 0) {
+    return { correct: false, score: 0, errorType: 'skipped', heard: '', confidence: 0 };
+  }
+
+  // 识别结果常带标点，或在单词前后多出别的词，只要其中连续的几个词与单词相同即可
+  const accepted = getAcceptedSpellings(wordObj).map(normalizeAnswer);
+  const graded = alternatives.map(alt => {
+    const heard = normalizeAnswer(alt.transcript).replace(/[^a-z0-9' ]/g, '').trim();
+    const contains = accepted.some(spelling => ` ${heard} `.includes(` ${spelling} `));
+    return { ...alt, contains, ...gradeAnswer(heard, wordObj, { partialCredit }) };
+  });
+  const matched = graded.find(alt => alt.contains);
+  if (matched) {
+    return { correct: true, score: 1, errorType: null, heard: matched.transcript, confidence: matched.confidence };
+  }
+
+  const closest = [...graded].sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))[0];
+  return {
+    correct: false,
+    score: closest.score,
+    errorType: 'mispronounced',
+    heard: closest.transcript,
+    confidence: closest.confidence
+  };
+};
@@ -0,0 +1,241 @@
+/**
+ * Progress statistics derived from the stored history and word records
+ * Everything is computed locally, so the dashboard also works offline
+ */
+
+// 日期范围快捷选项，days 为 0 表示全部
+export const RANGE_PRESETS = [
+  { days: 7, label: '最近7天' },
+  { days: 30, label: '最近30天' },
+  { days: 90, label: '最近90天' },
+  { days: 0, label: '全部' }
+];
+
+const DAY_MS = 86400000;
+
+/**
+ * Local calendar date of a timestamp
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Shift a date key by a number of days
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const addDays = (dateKey, days) => {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  // 用正午计算，避免夏令时切换时跳过或重复一天
+  return toDateKey(new Date(y, m - 1, d, 12).getTime() + days * DAY_MS);
+};
+
+/**
+ * Date range of a preset
+ * @param {number} days - Number of days including today, 0 for everything
+ * @param {Date} today - Current date
+ * @returns {Object} - {from, to} date keys, '' for an open end
+ */
+export const getPresetRange = (days, today = new Date()) => ({
+  from: days > 0 ? addDays(toDateKey(today), -(days - 1)) : '',
+  to: ''
+});
+
+/**
+ * Whether a timestamp lies inside a date range
+ * @param {string} timestamp - ISO string
+ * @param {Object} range - {from, to} date keys, '' for an open end
+ * @returns {boolean}
+ */
+const inRange = (timestamp, { from, to }) => {
+  const key = toDateKey(timestamp);
+  return (!from || key >= from) && (!to || key <= to);
+};
+
+/**
+ * Keep the history entries inside a date range
+ * @param {Array} history - History entries
+ * @param {Object} range - {from, to}
+ * @returns {Array} - Filtered entries
+ */
+export const filterHistory = (history, range) => history.filter(item => inRange(item.timestamp, range));
+
+/**
+ * Rate as a rounded percentage
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number|null} - Percentage, null when there is nothing to count
+ */
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : null);
+
+/**
+ * Totals of a list of history entries
+ * @param {Array} history - History entries
+ * @returns {Object} - {sessions, words, correct, accuracy, hintRate, timeoutRate, studyDays}
+ */
+export const getHistoryTotals = (history) => {
+  const words = history.reduce((sum, item) => sum + item.wordCount, 0);
+  const correct = history.reduce((sum, item) => sum + item.correct, 0);
+  const withHints = history.reduce((sum, item) => sum + (item.withHints || 0), 0);
+  const timeouts = history.reduce((sum, item) => sum + (item.timeoutCount || 0), 0);
+  return {
+    sessions: history.length,
+    words,
+    correct,
+    accuracy: percent(correct, words),
+    hintRate: percent(withHints, words),
+    timeoutRate: percent(timeouts, words),
+    studyDays: new Set(history.map(item => toDateKey(item.timestamp))).size
+  };
+};
+
+/**
+ * Per-day statistics, one entry for every day of the range (days without
+ * practice included so the charts show the gaps)
+ * @param {Array} history - History entries, already filtered to the range
+ * @param {Object} range - {from, to}
+ * @param {Date} today - Current date
+ * @returns {Array} - Array of {date, sessions, words, correct, accuracy, hintRate, timeoutRate}
+ */
+export const getDailyStats = (history, range, today = new Date()) => {
+  if (history.length === 0) return [];
+
+  const byDay = {};
+  history.forEach(item => {
+    const date = toDateKey(item.timestamp);
+    if (!byDay[date]) byDay[date] = [];
+    byDay[date].push(item);
+  });
+
+  const keys = Object.keys(byDay).sort();
+  const first = range.from || keys[0];
+  const last = range.to || toDateKey(today);
+
+  const days = [];
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    const { sessions, words, correct, accuracy, hintRate, timeoutRate } = getHistoryTotals(byDay[date] || []);
+    days.push({ date, sessions, words, correct, accuracy, hintRate, timeoutRate });
+  }
+  return days;
+};
+
+/**
+ * Statistics per practice mode
+ * @param {Array} history - History entries
+ * @returns {Array} - Array of {mode, sessions, words, accuracy} sorted by words practised
+ */
+export const getModeBreakdown = (history) => {
+  const modes = {};
+  history.forEach(item => {
+    const key = item.modeKey || item.mode;
+    if (!modes[key]) {
+      modes[key] = { mode: item.mode, entries: [] };
+    }
+    modes[key].entries.push(item);
+  });
+
+  return Object.values(modes)
+    .map(({ mode, entries }) => {
+      const totals = getHistoryTotals(entries);
+      return { mode, sessions: totals.sessions, words: totals.words, accuracy: totals.accuracy };
+    })
+    .sort((a, b) => b.words - a.words);
+};
+
+/**
+ * Statistics per unit, from the word records of one library
+ * @param {Array} attempts - Attempts from getLibraryAttempts
+ * @param {Array} words - Words of the library (for their units)
+ * @param {Object} range - {from, to}
+ * @returns {Array} - Array of {unit, attempts, words, accuracy} sorted by unit
+ */
+export const getUnitBreakdown = (attempts, words, range) => {
+  const unitOf = {};
+  words.forEach(w => {
+    unitOf[w.word] = w.unit;
+  });
+
+  const units = {};
+  attempts
+    .filter(a => unitOf[a.word] !== undefined && inRange(a.timestamp, range))
+    .forEach(a => {
+      const unit = unitOf[a.word];
+      if (!units[unit]) {
+        units[unit] = { unit, attempts: 0, correct: 0, words: new Set() };
+      }
+      units[unit].attempts += 1;
+      if (a.correct) units[unit].correct += 1;
+      units[unit].words.add(a.word);
+    });
+
+  return Object.values(units)
+    .map(u => ({ unit: u.unit, attempts: u.attempts, words: u.words.size, accuracy: percent(u.correct, u.attempts) }))
+    .sort((a, b) => a.unit - b.unit);
+};
+
+/**
+ * Study streaks: consecutive days with at least one session
+ * The current streak still counts if today has no session yet
+ * @param {Array} history - All history entries
+ * @param {Date} today - Current date
+ * @returns {Object} - {current, longest}
+ */
+export const getStudyStreak = (history, today = new Date()) => {
+  const days = new Set(history.map(item => toDateKey(item.timestamp)));
+
+  let current = 0;
+  let date = toDateKey(today);
+  if (!days.has(date)) date = addDays(date, -1);
+  while (days.has(date)) {
+    current += 1;
+    date = addDays(date, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach(day => {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  return { current, longest };
+};
+
+/**
+ * Calendar of the last weeks, Monday first, for the streak view
+ * @param {Array} history - All history entries
+ * @param {number} weeks - Number of weeks to show
+ * @param {Date} today - Current date
+ * @returns {Array} - Weeks, each an array of 7 {date, sessions, future}
+ */
+export const getStudyCalendar = (history, weeks = 12, today = new Date()) => {
+  const sessions = {};
+  history.forEach(item => {
+    const date = toDateKey(item.timestamp);
+    sessions[date] = (sessions[date] || 0) + 1;
+  });
+
+  const todayKey = toDateKey(today);
+  const weekday = (today.getDay() + 6) % 7; // 周一为 0
+  let date = addDays(todayKey, -(weekday + (weeks - 1) * 7));
+
+  const calendar = [];
+  for (let w = 0; w < weeks; w++) {
+    const week = [];
+    for (let d = 0; d < 7; d++) {
+      week.push({ date, sessions: sessions[date] || 0, future: date > todayKey });
+      date = addDays(date, 1);
+    }
+    calendar.push(week);
+  }
+  return calendar;
+};
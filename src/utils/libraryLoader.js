@@ -0,0 +1,150 @@
+/**
+ * Word library loader
+ * Reads the libraries.json manifest and lazily loads each library file,
+ * user libraries from localStorage are listed after the built-in ones
+ */
+
+import manifest from '../data/libraries.json';
+import { getCustomLibraries, getCustomLibrary, updateCustomLibraryWords } from './customLibraries';
+import { getOverlay, applyOverlay, buildOverlay, saveOverlay } from './libraryOverlays';
+
+const REQUIRED_FIELDS = ['word', 'meaning'];
+
+// 已加载（或正在加载）的词库，key 为词库 id
+const libraryCache = {};
+
+/**
+ * Get the list of declared libraries
+ * @returns {Array} - Array of {id, name, description, file, audioPack} and {id, name, description, custom}
+ */
+export const getLibraryManifest = () => [
+  ...manifest,
+  ...getCustomLibraries().map(({ id, name, description }) => ({ id, name, description, custom: true }))
+];
+
+/**
+ * Validate the words of a library
+ * @param {*} data - Parsed library file
+ * @returns {Object} - {words, errors} with only valid entries kept
+ */
+export const validateLibrary = (data) => {
+  if (!Array.isArray(data)) {
+    return { words: [], errors: ['词库文件格式错误：应为单词数组'] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const words = data.filter((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`第 ${index + 1} 条：不是有效的单词对象`);
+      return false;
+    }
+    const missing = REQUIRED_FIELDS.filter(field => typeof entry[field] !== 'string' || !entry[field].trim());
+    if (missing.length > 0) {
+      errors.push(`第 ${index + 1} 条：缺少 ${missing.join(', ')}`);
+      return false;
+    }
+    const key = entry.word.trim().toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`第 ${index + 1} 条：重复的单词 "${entry.word}"`);
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return { words, errors };
+};
+
+/**
+ * Validate the words of a library and fail when nothing usable is left
+ * @param {*} data - Parsed library data
+ * @param {string} libraryId - Library id
+ * @param {string} name - Library name for error messages
+ * @returns {Array} - Valid words
+ */
+const checkLibrary = (data, libraryId, name) => {
+  const { words, errors } = validateLibrary(data);
+  if (errors.length > 0) {
+    console.warn(`Library ${libraryId} has invalid entries:`, errors);
+  }
+  if (words.length === 0) {
+    throw new Error(`词库 ${name} 没有有效的单词`);
+  }
+  return words;
+};
+
+/**
+ * Load the unmodified words of a built-in library, cached after the first call
+ * @param {string} libraryId - Library id from the manifest
+ * @returns {Promise<Array>} - Resolves with the validated words
+ */
+const loadBuiltInLibrary = (libraryId) => {
+  if (libraryCache[libraryId]) {
+    return libraryCache[libraryId];
+  }
+
+  const entry = manifest.find(lib => lib.id === libraryId);
+  if (!entry) {
+    return Promise.reject(new Error(`未找到词库: ${libraryId}`));
+  }
+
+  const promise = import(`../data/${entry.file}`)
+    .then(module => checkLibrary(module.default, libraryId, entry.name))
+    .catch(error => {
+      // 失败时不缓存，允许重试
+      delete libraryCache[libraryId];
+      throw error;
+    });
+
+  libraryCache[libraryId] = promise;
+  return promise;
+};
+
+/**
+ * Load the words of a library with local edits applied
+ * @param {string} libraryId - Library id from the manifest
+ * @returns {Promise<Array>} - Resolves with the validated words
+ */
+export const loadLibrary = (libraryId) => {
+  // 用户词库随时可能被修改，不做缓存
+  const custom = getCustomLibrary(libraryId);
+  if (custom) {
+    return new Promise(resolve => resolve(checkLibrary(custom.words, libraryId, custom.name)));
+  }
+
+  return loadBuiltInLibrary(libraryId)
+    .then(words => applyOverlay(words, getOverlay(libraryId)));
+};
+
+/**
+ * Load a library for the editor, each word tagged with the built-in word it comes from
+ * @param {string} libraryId - Library id from the manifest
+ * @returns {Promise<Array>} - Resolves with the editable words
+ */
+export const loadEditableLibrary = (libraryId) => {
+  const custom = getCustomLibrary(libraryId);
+  if (custom) {
+    return Promise.resolve(custom.words.map(w => ({ ...w, baseWord: null })));
+  }
+
+  return loadBuiltInLibrary(libraryId)
+    .then(words => applyOverlay(words, getOverlay(libraryId), true));
+};
+
+/**
+ * Save edited words: user libraries are overwritten,
+ * built-in libraries store the difference as an overlay
+ * @param {string} libraryId - Library id from the manifest
+ * @param {Array} items - Edited words from loadEditableLibrary
+ * @returns {Promise<boolean>} - Resolves with true on success
+ */
+export const saveLibraryEdits = (libraryId, items) => {
+  if (getCustomLibrary(libraryId)) {
+    const words = items.map(({ baseWord, ...word }) => word);
+    return Promise.resolve(updateCustomLibraryWords(libraryId, words));
+  }
+
+  return loadBuiltInLibrary(libraryId)
+    .then(words => saveOverlay(libraryId, buildOverlay(words, items)));
+};
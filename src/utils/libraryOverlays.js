@@ -0,0 +1,129 @@
+/**
+ * Local edits to built-in word libraries.
+ * Built-in files are never modified; edits are kept as an overlay
+ * (edited / added / deleted words) and applied after loading,
+ * so they survive app upgrades that ship a new library file.
+ */
+
+export const OVERLAYS_KEY = 'vocabulary_library_overlays';
+
+const EMPTY_OVERLAY = { edited: {}, added: [], deleted: [] };
+
+/**
+ * Read all overlays from localStorage
+ * @returns {Object} - { [libraryId]: overlay }
+ */
+const getOverlays = () => {
+  try {
+    const overlays = localStorage.getItem(OVERLAYS_KEY);
+    return overlays ? JSON.parse(overlays) : {};
+  } catch (error) {
+    console.error('Error reading library overlays:', error);
+    return {};
+  }
+};
+
+/**
+ * Get the overlay of a built-in library
+ * @param {string} libraryId - Library id
+ * @returns {Object} - {edited: {[baseWord]: word}, added: [word], deleted: [baseWord]}
+ */
+export const getOverlay = (libraryId) => {
+  return { ...EMPTY_OVERLAY, ...getOverlays()[libraryId] };
+};
+
+/**
+ * Check whether a library has local edits
+ * @param {string} libraryId - Library id
+ * @returns {boolean}
+ */
+export const hasOverlay = (libraryId) => {
+  const overlay = getOverlays()[libraryId];
+  return !!overlay && (
+    Object.keys(overlay.edited).length > 0 || overlay.added.length > 0 || overlay.deleted.length > 0
+  );
+};
+
+/**
+ * Apply an overlay to the words of a built-in library
+ * @param {Array} baseWords - Words from the library file
+ * @param {Object} overlay - Library overlay
+ * @param {boolean} withBase - Tag each word with the base word it comes from (null for added words)
+ * @returns {Array} - Effective words
+ */
+export const applyOverlay = (baseWords, overlay, withBase = false) => {
+  const deleted = new Set(overlay.deleted);
+  const tag = (word, baseWord) => (withBase ? { ...word, baseWord } : word);
+
+  return [
+    ...baseWords
+      .filter(w => !deleted.has(w.word))
+      .map(w => tag(overlay.edited[w.word] || w, w.word)),
+    ...overlay.added.map(w => tag(w, null))
+  ];
+};
+
+/**
+ * Compute the overlay that turns the base words into the edited list
+ * @param {Array} baseWords - Words from the library file
+ * @param {Array} items - Edited words, each tagged with its baseWord (null for new words)
+ * @returns {Object} - Library overlay
+ */
+export const buildOverlay = (baseWords, items) => {
+  const baseByWord = {};
+  baseWords.forEach(w => {
+    baseByWord[w.word] = w;
+  });
+
+  const overlay = { edited: {}, added: [], deleted: [] };
+  const kept = new Set();
+
+  items.forEach(({ baseWord, ...word }) => {
+    const base = baseWord && baseByWord[baseWord];
+    if (!base) {
+      overlay.added.push(word);
+      return;
+    }
+    kept.add(baseWord);
+    const changed = Object.keys({ ...base, ...word })
+      .some(field => JSON.stringify(base[field]) !== JSON.stringify(word[field]));
+    if (changed) {
+      overlay.edited[baseWord] = word;
+    }
+  });
+
+  overlay.deleted = baseWords.filter(w => !kept.has(w.word)).map(w => w.word);
+  return overlay;
+};
+
+/**
+ * Save the overlay of a built-in library
+ * @param {string} libraryId - Library id
+ * @param {Object} overlay - Library overlay
+ * @returns {boolean} - True on success
+ */
+export const saveOverlay = (libraryId, overlay) => {
+  try {
+    const overlays = getOverlays();
+    overlays[libraryId] = overlay;
+    localStorage.setItem(OVERLAYS_KEY, JSON.stringify(overlays));
+    return true;
+  } catch (error) {
+    console.error('Error saving library overlay:', error);
+    return false;
+  }
+};
+
+/**
+ * Drop all local edits of a built-in library
+ * @param {string} libraryId - Library id
+ */
+export const clearOverlay = (libraryId) => {
+  try {
+    const overlays = getOverlays();
+    delete overlays[libraryId];
+    localStorage.setItem(OVERLAYS_KEY, JSON.stringify(overlays));
+  } catch (error) {
+    console.error('Error clearing library overlay:', error);
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Word mastery derived from the per-word attempt logs (see wordRecords)
+ */
+
+// 掌握程度（顺序即图例的显示顺序）
+export const MASTERY_LEVELS = {
+  unseen: '没练过',
+  struggling: '薄弱',
+  learning: '学习中',
+  mastered: '已掌握'
+};
+
+// 最近连续这么多次不用提示、不超时答对即为已掌握
+export const MASTERED_STREAK = 3;
+
+// 判断是否薄弱时参考的最近作答次数
+const RECENT_WINDOW = 5;
+
+/**
+ * Whether an attempt was answered correctly without help
+ * @param {Object} attempt - {correct, hintsUsed, timeout}
+ * @returns {boolean}
+ */
+const isClean = (attempt) => attempt.correct && !(attempt.hintsUsed > 0) && !attempt.timeout;
+
+/**
+ * Mastery level of one word
+ * @param {Array} attempts - The word's attempts, oldest first
+ * @returns {string} - Key of MASTERY_LEVELS
+ */
+export const getMasteryLevel = (attempts) => {
+  if (!attempts || attempts.length === 0) return 'unseen';
+
+  const streak = attempts.slice(-MASTERED_STREAK);
+  if (streak.length === MASTERED_STREAK && streak.every(isClean)) return 'mastered';
+
+  // 最近一次答错，或最近几次对的不到一半
+  const recent = attempts.slice(-RECENT_WINDOW);
+  const correct = recent.filter(a => a.correct).length;
+  if (!attempts[attempts.length - 1].correct || correct * 2 < recent.length) return 'struggling';
+
+  return 'learning';
+};
+
+/**
+ * Group the words of a library by unit with their mastery levels
+ * @param {Array} words - Words of the library
+ * @param {Array} attempts - Attempts from getLibraryAttempts
+ * @returns {Array} - Array of {unit, words, counts, completion} sorted by unit,
+ *   words without a unit last (unit null); each word carries {level, attempts}
+ */
+export const getMasteryMap = (words, attempts) => {
+  const attemptsOf = {};
+  attempts.forEach(a => {
+    if (!attemptsOf[a.word]) attemptsOf[a.word] = [];
+    attemptsOf[a.word].push(a);
+  });
+
+  const units = {};
+  words.forEach(w => {
+    const unit = w.unit !== undefined && w.unit !== null && w.unit !== '' ? w.unit : null;
+    if (!units[unit]) {
+      units[unit] = {
+        unit,
+        words: [],
+        counts: Object.keys(MASTERY_LEVELS).reduce((acc, level) => ({ ...acc, [level]: 0 }), {})
+      };
+    }
+    const wordAttempts = [...(attemptsOf[w.word] || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const level = getMasteryLevel(wordAttempts);
+    units[unit].words.push({ ...w, level, attempts: wordAttempts });
+    units[unit].counts[level] += 1;
+  });
+
+  return Object.values(units)
+    .map(u => ({ ...u, completion: Math.round((u.counts.mastered / u.words.length) * 100) }))
+    .sort((a, b) => (a.unit === null) - (b.unit === null) || a.unit - b.unit);
+};
@@ -0,0 +1,150 @@
+/**
+ * Wrong-word notebook (错题本)
+ * Collects words answered incorrectly, timed out or solved with hints,
+ * and lets them graduate after enough clean answers in a row
+ */
+
+import { shuffleArray } from './wordHelpers';
+import { profileKey } from './profiles';
+
+export const NOTEBOOK_KEY = 'vocabulary_mistake_notebook';
+
+// 连续答对多少次后移出错题本
+export const GRADUATION_STREAK = 3;
+
+/**
+ * Read the whole notebook from localStorage
+ * @returns {Object} - { [libraryId]: { [word]: entry } }
+ */
+const getNotebook = () => {
+  try {
+    const notebook = localStorage.getItem(profileKey(NOTEBOOK_KEY));
+    return notebook ? JSON.parse(notebook) : {};
+  } catch (error) {
+    console.error('Error reading mistake notebook:', error);
+    return {};
+  }
+};
+
+/**
+ * Persist the whole notebook
+ * @param {Object} notebook - Notebook data
+ */
+const saveNotebook = (notebook) => {
+  try {
+    localStorage.setItem(profileKey(NOTEBOOK_KEY), JSON.stringify(notebook));
+  } catch (error) {
+    console.error('Error saving mistake notebook:', error);
+  }
+};
+
+/**
+ * Get the reason a result counts as a mistake
+ * @param {Object} result - {correct, hintsUsed, timeout}
+ * @returns {string|null} - 'incorrect', 'timeout', 'hint' or null
+ */
+const getMistakeReason = (result) => {
+  if (!result.correct) return 'incorrect';
+  if (result.timeout) return 'timeout';
+  if (result.hintsUsed > 0) return 'hint';
+  return null;
+};
+
+/**
+ * Get the notebook entries of a library, most recent mistake first
+ * @param {string} libraryId - Library id
+ * @returns {Array} - Array of {word, misses, streak, reasons, lastMissed} entries
+ */
+export const getMistakes = (libraryId) => {
+  const entries = getNotebook()[libraryId] || {};
+  return Object.keys(entries)
+    .map(word => ({ word, ...entries[word] }))
+    .sort((a, b) => new Date(b.lastMissed) - new Date(a.lastMissed));
+};
+
+/**
+ * Update the notebook with the results of a session.
+ * A word with any mistake in the session is (re)added with its streak reset;
+ * a word answered cleanly moves one step closer to graduating.
+ * @param {string} libraryId - Library id
+ * @param {Array} results - Array of {word, correct, hintsUsed, timeout} objects
+ */
+export const recordMistakes = (libraryId, results) => {
+  const notebook = getNotebook();
+  const entries = { ...(notebook[libraryId] || {}) };
+  const now = new Date().toISOString();
+
+  // 同一单词在一次练习中可能出现多次（重试），只要有一次出错就算错
+  const reasonsByWord = {};
+  results.forEach(result => {
+    if (!reasonsByWord[result.word]) {
+      reasonsByWord[result.word] = [];
+    }
+    const reason = getMistakeReason(result);
+    if (reason) {
+      reasonsByWord[result.word].push(reason);
+    }
+  });
+
+  Object.keys(reasonsByWord).forEach(word => {
+    const reasons = reasonsByWord[word];
+    const entry = entries[word];
+
+    if (reasons.length > 0) {
+      const counts = { ...((entry && entry.reasons) || { incorrect: 0, timeout: 0, hint: 0 }) };
+      reasons.forEach(reason => { counts[reason] += 1; });
+      entries[word] = {
+        addedAt: entry ? entry.addedAt : now,
+        lastMissed: now,
+        misses: (entry ? entry.misses : 0) + 1,
+        streak: 0,
+        reasons: counts
+      };
+    } else if (entry) {
+      const streak = entry.streak + 1;
+      if (streak >= GRADUATION_STREAK) {
+        delete entries[word];
+      } else {
+        entries[word] = { ...entry, streak };
+      }
+    }
+  });
+
+  notebook[libraryId] = entries;
+  saveNotebook(notebook);
+};
+
+/**
+ * Remove a single word from the notebook
+ * @param {string} libraryId - Library id
+ * @param {string} word - The word to remove
+ */
+export const removeMistake = (libraryId, word) => {
+  const notebook = getNotebook();
+  if (notebook[libraryId]) {
+    delete notebook[libraryId][word];
+    saveNotebook(notebook);
+  }
+};
+
+/**
+ * Remove every word of a library from the notebook
+ * @param {string} libraryId - Library id
+ */
+export const clearMistakes = (libraryId) => {
+  const notebook = getNotebook();
+  delete notebook[libraryId];
+  saveNotebook(notebook);
+};
+
+/**
+ * Pick words from the notebook for a practice session
+ * @param {Array} words - Array of word objects of the library
+ * @param {string} libraryId - Library id
+ * @param {number} count - Maximum number of words
+ * @returns {Array} - Selected word objects
+ */
+export const selectMistakeWords = (words, libraryId, count) => {
+  const entries = getNotebook()[libraryId] || {};
+  return shuffleArray(words.filter(w => entries[w.word])).slice(0, count);
+};
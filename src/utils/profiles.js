@@ -0,0 +1,159 @@
+/**
+ * Learner profiles
+ * Learner data (history, progress, mistakes, settings) is stored under
+ * keys namespaced by the active profile: `${key}::${profileId}`
+ */
+
+const PROFILES_KEY = 'vocabulary_profiles';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const PROFILE_AVATARS = ['🙂', '🐱', '🐶', '🦊', '🐼', '🐯', '🐰', '🐸', '🐧', '🦁'];
+
+const DEFAULT_STATE = {
+  activeId: DEFAULT_PROFILE_ID,
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: '我', avatar: '🙂', createdAt: null }]
+};
+
+/**
+ * Read the profile list from localStorage
+ * @returns {Object} - {activeId, profiles}
+ */
+const getState = () => {
+  try {
+    const state = localStorage.getItem(PROFILES_KEY);
+    return state ? JSON.parse(state) : DEFAULT_STATE;
+  } catch (error) {
+    console.error('Error reading profiles:', error);
+    return DEFAULT_STATE;
+  }
+};
+
+/**
+ * Persist the profile list
+ * @param {Object} state - {activeId, profiles}
+ */
+const saveState = (state) => {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving profiles:', error);
+  }
+};
+
+/**
+ * Get all profiles
+ * @returns {Array} - Array of {id, name, avatar, createdAt}
+ */
+export const getProfiles = () => getState().profiles;
+
+/**
+ * Get the active profile
+ * @returns {Object} - {id, name, avatar, createdAt}
+ */
+export const getActiveProfile = () => {
+  const state = getState();
+  return state.profiles.find(p => p.id === state.activeId) || state.profiles[0];
+};
+
+/**
+ * Move data saved before profiles existed into the default profile
+ * (or the active one if the default profile is gone). Called once at startup
+ * for every per-profile key, so no legacy data is left behind.
+ * @param {Array} keys - Unnamespaced storage keys
+ */
+export const migrateLegacyData = (keys) => {
+  const state = getState();
+  const target = state.profiles.some(p => p.id === DEFAULT_PROFILE_ID)
+    ? DEFAULT_PROFILE_ID
+    : getActiveProfile().id;
+
+  keys.forEach(key => {
+    try {
+      const legacy = localStorage.getItem(key);
+      if (legacy === null) return;
+      const scopedKey = `${key}::${target}`;
+      if (localStorage.getItem(scopedKey) === null) {
+        localStorage.setItem(scopedKey, legacy);
+      }
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.error('Error migrating legacy data:', error);
+    }
+  });
+};
+
+/**
+ * Get the storage key of the active profile
+ * @param {string} key - Base storage key
+ * @returns {string} - Namespaced key
+ */
+export const profileKey = (key) => `${key}::${getActiveProfile().id}`;
+
+/**
+ * Create a profile
+ * @param {string} name - Display name
+ * @param {string} avatar - Emoji avatar
+ * @returns {Object} - The new profile
+ */
+export const createProfile = (name, avatar) => {
+  const state = getState();
+  const profile = {
+    id: `p-${Date.now()}`,
+    name,
+    avatar,
+    createdAt: new Date().toISOString()
+  };
+  saveState({ ...state, profiles: [...state.profiles, profile] });
+  return profile;
+};
+
+/**
+ * Rename a profile or change its avatar
+ * @param {string} profileId - Profile id
+ * @param {Object} changes - {name, avatar}
+ */
+export const updateProfile = (profileId, changes) => {
+  const state = getState();
+  saveState({
+    ...state,
+    profiles: state.profiles.map(p => (p.id === profileId ? { ...p, ...changes } : p))
+  });
+};
+
+/**
+ * Make a profile the active one
+ * @param {string} profileId - Profile id
+ */
+export const switchProfile = (profileId) => {
+  const state = getState();
+  if (state.profiles.some(p => p.id === profileId)) {
+    saveState({ ...state, activeId: profileId });
+  }
+};
+
+/**
+ * Delete a profile and all of its data. The last profile cannot be deleted.
+ * @param {string} profileId - Profile id
+ * @returns {boolean} - True if deleted
+ */
+export const deleteProfile = (profileId) => {
+  const state = getState();
+  if (state.profiles.length <= 1) return false;
+
+  try {
+    const suffix = `::${profileId}`;
+    Object.keys(localStorage)
+      .filter(key => key.endsWith(suffix))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.error('Error deleting profile data:', error);
+  }
+
+  const profiles = state.profiles.filter(p => p.id !== profileId);
+  saveState({
+    activeId: state.activeId === profileId ? profiles[0].id : state.activeId,
+    profiles
+  });
+  return true;
+};
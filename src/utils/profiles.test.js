@@ -0,0 +1,60 @@
+import {
+  migrateLegacyData,
+  profileKey,
+  createProfile,
+  switchProfile,
+  deleteProfile,
+  DEFAULT_PROFILE_ID
+} from './profiles';
+import { PROFILE_DATA_KEYS } from './backup';
+import { HISTORY_KEY } from './storageHelper';
+import { RECORDS_KEY } from './wordRecords';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('migrateLegacyData', () => {
+  it('moves every legacy key into the default profile at once', () => {
+    localStorage.setItem(HISTORY_KEY, '[1]');
+    localStorage.setItem(RECORDS_KEY, '{"lib":{}}');
+
+    migrateLegacyData(PROFILE_DATA_KEYS);
+
+    expect(localStorage.getItem(HISTORY_KEY)).toBeNull();
+    expect(localStorage.getItem(RECORDS_KEY)).toBeNull();
+    expect(localStorage.getItem(`${HISTORY_KEY}::${DEFAULT_PROFILE_ID}`)).toBe('[1]');
+    expect(localStorage.getItem(`${RECORDS_KEY}::${DEFAULT_PROFILE_ID}`)).toBe('{"lib":{}}');
+  });
+
+  it('migrates into the default profile even while another profile is active', () => {
+    localStorage.setItem(RECORDS_KEY, '{"lib":{}}');
+    const profile = createProfile('小明', '🐱');
+    switchProfile(profile.id);
+
+    migrateLegacyData(PROFILE_DATA_KEYS);
+
+    expect(localStorage.getItem(`${RECORDS_KEY}::${DEFAULT_PROFILE_ID}`)).toBe('{"lib":{}}');
+    expect(localStorage.getItem(profileKey(RECORDS_KEY))).toBeNull();
+  });
+
+  it('keeps data the default profile already has', () => {
+    localStorage.setItem(HISTORY_KEY, '[1]');
+    localStorage.setItem(`${HISTORY_KEY}::${DEFAULT_PROFILE_ID}`, '[2]');
+
+    migrateLegacyData(PROFILE_DATA_KEYS);
+
+    expect(localStorage.getItem(`${HISTORY_KEY}::${DEFAULT_PROFILE_ID}`)).toBe('[2]');
+    expect(localStorage.getItem(HISTORY_KEY)).toBeNull();
+  });
+
+  it('uses the active profile when the default profile was deleted', () => {
+    const profile = createProfile('小明', '🐱');
+    deleteProfile(DEFAULT_PROFILE_ID);
+    localStorage.setItem(HISTORY_KEY, '[1]');
+
+    migrateLegacyData(PROFILE_DATA_KEYS);
+
+    expect(localStorage.getItem(`${HISTORY_KEY}::${profile.id}`)).toBe('[1]');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Leitner-style spaced repetition scheduler
+ * Keeps one review card per word and library in localStorage
+ */
+
+import { shuffleArray } from './wordHelpers';
+import { profileKey } from './profiles';
+
+export const SCHEDULE_KEY = 'vocabulary_review_schedule';
+
+const DAY_MS = 86400000;
+
+// 每个盒子对应的复习间隔（天），答对升一盒，答错回到第一盒
+export const BOX_INTERVALS = [0, 1, 2, 4, 8, 16];
+
+// 达到该盒子即视为已掌握
+export const LEARNED_BOX = 4;
+
+/**
+ * Get the start of the local day for a timestamp
+ * @param {number} time - Timestamp in ms
+ * @returns {number} - Timestamp of local midnight
+ */
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Read the whole schedule from localStorage
+ * @returns {Object} - { [libraryId]: { [word]: card } }
+ */
+const getSchedule = () => {
+  try {
+    const schedule = localStorage.getItem(profileKey(SCHEDULE_KEY));
+    return schedule ? JSON.parse(schedule) : {};
+  } catch (error) {
+    console.error('Error reading review schedule:', error);
+    return {};
+  }
+};
+
+/**
+ * Get the review cards of one library
+ * @param {string} libraryId - Library id
+ * @returns {Object} - Map of word to review card
+ */
+export const getLibrarySchedule = (libraryId) => {
+  return getSchedule()[libraryId] || {};
+};
+
+/**
+ * Decide how a single result moves a card between boxes
+ * @param {Object} card - Existing card (or undefined for a new word)
+ * @param {Object} result - {correct, hintsUsed, timeout}
+ * @param {number} now - Current timestamp
+ * @returns {Object} - Updated card
+ */
+export const scheduleCard = (card, result, now = Date.now()) => {
+  const current = card || { box: 0, reviews: 0, lapses: 0 };
+  const clean = result.correct && !(result.hintsUsed > 0) && !result.timeout;
+
+  let box;
+  if (!result.correct) {
+    box = 0;
+  } else if (clean) {
+    box = Math.min(current.box + 1, BOX_INTERVALS.length - 1);
+  } else {
+    // 答对但用了提示或超时：留在原盒子
+    box = current.box;
+  }
+
+  return {
+    box,
+    reviews: current.reviews + 1,
+    lapses: current.lapses + (result.correct ? 0 : 1),
+    lastReviewed: now,
+    due: startOfDay(now) + BOX_INTERVALS[box] * DAY_MS
+  };
+};
+
+/**
+ * Feed the results of a finished session into the schedule.
+ * Only the first attempt of each word counts, retries within
+ * the same session do not promote a card.
+ * @param {string} libraryId - Library id
+ * @param {Array} results - Array of {word, correct, hintsUsed, timeout} objects
+ */
+export const recordReviewResults = (libraryId, results) => {
+  try {
+    const schedule = getSchedule();
+    const cards = { ...(schedule[libraryId] || {}) };
+    const seen = new Set();
+    const now = Date.now();
+
+    results.forEach(result => {
+      if (seen.has(result.word)) return;
+      seen.add(result.word);
+      cards[result.word] = scheduleCard(cards[result.word], result, now);
+    });
+
+    schedule[libraryId] = cards;
+    localStorage.setItem(profileKey(SCHEDULE_KEY), JSON.stringify(schedule));
+  } catch (error) {
+    console.error('Error saving review schedule:', error);
+  }
+};
+
+/**
+ * Count due, new and learned words of a library
+ * @param {Array} words - Array of word objects
+ * @param {string} libraryId - Library id
+ * @returns {Object} - {due, new, learned}
+ */
+export const getReviewSummary = (words, libraryId) => {
+  const cards = getLibrarySchedule(libraryId);
+  const now = Date.now();
+
+  return words.reduce((acc, w) => {
+    const card = cards[w.word];
+    if (!card) {
+      acc.new += 1;
+    } else {
+      if (card.due <= now) acc.due += 1;
+      if (card.box >= LEARNED_BOX) acc.learned += 1;
+    }
+    return acc;
+  }, { due: 0, new: 0, learned: 0 });
+};
+
+/**
+ * Build a review session: overdue words first, then new words to fill up
+ * @param {Array} words - Array of word objects
+ * @param {string} libraryId - Library id
+ * @param {number} count - Maximum number of words
+ * @returns {Array} - Selected words
+ */
+export const selectDueWords = (words, libraryId, count) => {
+  const cards = getLibrarySchedule(libraryId);
+  const now = Date.now();
+
+  const due = words
+    .filter(w => cards[w.word] && cards[w.word].due <= now)
+    .sort((a, b) => cards[a.word].due - cards[b.word].due);
+  const fresh = shuffleArray(words.filter(w => !cards[w.word]));
+
+  return shuffleArray([...due, ...fresh].slice(0, count));
+};
+
@@ -0,0 +1,33 @@
+import { scheduleCard, BOX_INTERVALS } from './reviewScheduler';
+
+const DAY_MS = 86400000;
+const NOW = new Date(2026, 9, 19, 15, 0).getTime();
+const MIDNIGHT = new Date(2026, 9, 19).getTime();
+
+describe('scheduleCard', () => {
+  it('moves a card up one box after a clean correct answer', () => {
+    const card = scheduleCard({ box: 2, reviews: 3, lapses: 0 }, { correct: true }, NOW);
+    expect(card).toMatchObject({ box: 3, reviews: 4, lapses: 0, lastReviewed: NOW });
+    expect(card.due).toBe(MIDNIGHT + BOX_INTERVALS[3] * DAY_MS);
+  });
+
+  it('sends a card back to the first box after a wrong answer', () => {
+    const card = scheduleCard({ box: 3, reviews: 5, lapses: 1 }, { correct: false }, NOW);
+    expect(card).toMatchObject({ box: 0, lapses: 2, due: MIDNIGHT });
+  });
+
+  it('keeps a card in its box after a correct answer with a hint or a timeout', () => {
+    expect(scheduleCard({ box: 2, reviews: 3, lapses: 0 }, { correct: true, hintsUsed: 1 }, NOW).box).toBe(2);
+    expect(scheduleCard({ box: 2, reviews: 3, lapses: 0 }, { correct: true, timeout: true }, NOW).box).toBe(2);
+  });
+
+  it('keeps a new card in the first box when it was answered with a hint', () => {
+    const card = scheduleCard(undefined, { correct: true, hintsUsed: 2 }, NOW);
+    expect(card).toMatchObject({ box: 0, reviews: 1, lapses: 0, due: MIDNIGHT });
+  });
+
+  it('does not move a card past the last box', () => {
+    const last = BOX_INTERVALS.length - 1;
+    expect(scheduleCard({ box: last, reviews: 9, lapses: 0 }, { correct: true }, NOW).box).toBe(last);
+  });
+});
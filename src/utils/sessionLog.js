@@ -0,0 +1,217 @@
+/**
+ * Practice session state kept as an append-only event log
+ * useSession feeds actions to sessionReducer; results and statistics are
+ * derived from the events so nothing the student did can be lost or counted twice
+ */
+
+import { calculateStats } from './wordHelpers';
+
+// 事件类型
+export const SESSION_EVENTS = {
+  ANSWER: 'answer', // 提交了答案
+  SKIP: 'skip', // 跳过（考试到时未答的题目也记为跳过）
+  HINT: 'hint', // 使用了一次提示
+  RETRY: 'retry', // 单词被重新排到后面再练一次
+  TIMEOUT: 'timeout' // 超过单题限时
+};
+
+/**
+ * Initial session state
+ * @param {Object} config - {words, requeue: re-queue policy, exam: {minutes} or null,
+ *   saved: progress from serializeSessionState to resume, or null}
+ * @returns {Object} - Session state
+ */
+export const createSessionState = ({ words, requeue, exam = null, saved = null }) => ({
+  queue: words.map(w => ({ ...w, retryCount: 0, hintRetryCount: 0 })),
+  currentIndex: 0,
+  events: [],
+  showAnswer: false,
+  feedback: null,
+  ...saved,
+  finished: false,
+  requeue,
+  exam
+});
+
+/**
+ * The part of the session state that can be stored and resumed later
+ * (the re-queue policy is a function and comes from the mode again)
+ * @param {Object} state - Session state
+ * @returns {Object} - {queue, currentIndex, events, showAnswer, feedback}
+ */
+export const serializeSessionState = ({ queue, currentIndex, events, showAnswer, feedback }) => ({
+  queue,
+  currentIndex,
+  events,
+  showAnswer,
+  feedback
+});
+
+/**
+ * Events recorded for one position of the queue
+ * @param {Array} events - Event log
+ * @param {number} index - Queue position
+ * @returns {Array} - Events of that question
+ */
+const eventsAt = (events, index) => events.filter(e => e.index === index);
+
+/**
+ * Number of hints used on a question
+ * @param {Array} events - Event log
+ * @param {number} index - Queue position
+ * @returns {number} - Hint count
+ */
+export const getHintsUsed = (events, index) => eventsAt(events, index).filter(e => e.type === SESSION_EVENTS.HINT).length;
+
+/**
+ * Whether a question ran over its time limit
+ * @param {Array} events - Event log
+ * @param {number} index - Queue position
+ * @returns {boolean} - True if a timeout event was recorded
+ */
+export const hasTimedOut = (events, index) => eventsAt(events, index).some(e => e.type === SESSION_EVENTS.TIMEOUT);
+
+/**
+ * Move past the current word, logging a retry event if the policy re-queues it
+ * @param {Object} state - Session state
+ * @returns {Object} - New state
+ */
+const advance = (state) => {
+  const { queue, currentIndex, events, exam, requeue } = state;
+  const last = getSessionResults(eventsAt(events, currentIndex)).pop();
+  const requeued = last && !exam ? requeue(queue[currentIndex], last) : null;
+
+  let nextQueue = queue;
+  let nextEvents = events;
+  if (requeued) {
+    const insertAt = Math.min(currentIndex + requeued.offset, queue.length);
+    nextQueue = [...queue];
+    nextQueue.splice(insertAt, 0, requeued.item);
+    nextEvents = [...events, { type: SESSION_EVENTS.RETRY, index: currentIndex, word: last.word, insertAt }];
+  }
+
+  if (currentIndex < nextQueue.length - 1) {
+    return {
+      ...state,
+      queue: nextQueue,
+      events: nextEvents,
+      currentIndex: currentIndex + 1,
+      showAnswer: false,
+      feedback: null
+    };
+  }
+  return { ...state, queue: nextQueue, events: nextEvents, showAnswer: false, finished: true };
+};
+
+/**
+ * Session reducer
+ * Actions: {type: 'answer', answer, detail, elapsed}, {type: 'skip', userAnswer, elapsed},
+ * {type: 'hint'}, {type: 'timeout'}, {type: 'next'}, {type: 'examEnd'}
+ * @param {Object} state - Session state
+ * @param {Object} action - Action
+ * @returns {Object} - New state
+ */
+export const sessionReducer = (state, action) => {
+  if (state.finished) return state;
+  const { queue, currentIndex, events } = state;
+  const base = { index: currentIndex, word: queue[currentIndex].word };
+
+  switch (action.type) {
+    case 'answer': {
+      const event = { ...base, elapsed: action.elapsed, ...action.answer, type: SESSION_EVENTS.ANSWER };
+      const next = { ...state, events: [...events, event] };
+      // 考试时不显示答案，直接进入下一题
+      if (state.exam) return advance(next);
+      return { ...next, showAnswer: true, feedback: { ...action.answer, detail: action.detail } };
+    }
+
+    case 'skip':
+      return advance({
+        ...state,
+        events: [...events, {
+          ...base,
+          type: SESSION_EVENTS.SKIP,
+          elapsed: action.elapsed,
+          userAnswer: action.userAnswer || '(skipped)'
+        }]
+      });
+
+    case 'hint':
+      return { ...state, events: [...events, { ...base, type: SESSION_EVENTS.HINT }] };
+
+    case 'timeout':
+      return hasTimedOut(events, currentIndex)
+        ? state
+        : { ...state, events: [...events, { ...base, type: SESSION_EVENTS.TIMEOUT }] };
+
+    case 'next':
+      return advance(state);
+
+    case 'examEnd': {
+      // 时间到，当前及之后未答的题目记为超时未作答
+      const answered = eventsAt(events, currentIndex)
+        .some(e => e.type === SESSION_EVENTS.ANSWER || e.type === SESSION_EVENTS.SKIP);
+      const unanswered = queue
+        .map((w, index) => ({ index, word: w.word }))
+        .slice(answered ? currentIndex + 1 : currentIndex)
+        .flatMap(item => [
+          { ...item, type: SESSION_EVENTS.TIMEOUT },
+          { ...item, type: SESSION_EVENTS.SKIP, elapsed: 0, userAnswer: '(unanswered)' }
+        ]);
+      return { ...state, events: [...events, ...unanswered], showAnswer: false, finished: true };
+    }
+
+    default:
+      return state;
+  }
+};
+
+/**
+ * Derive one result per answered or skipped question, in the format the
+ * rest of the app stores: {word, correct, userAnswer, timeout, hintsUsed,
+ * timeSpent, errorType, score, attempt}
+ * @param {Array} events - Event log
+ * @returns {Array} - Results in answer order
+ */
+export const getSessionResults = (events) => {
+  const attempts = {};
+  return events
+    .filter(e => e.type === SESSION_EVENTS.ANSWER || e.type === SESSION_EVENTS.SKIP)
+    .map(e => {
+      attempts[e.word] = (attempts[e.word] || 0) + 1;
+      const skipped = e.type === SESSION_EVENTS.SKIP;
+      return {
+        word: e.word,
+        correct: skipped ? false : e.correct,
+        userAnswer: e.userAnswer,
+        timeout: hasTimedOut(events, e.index),
+        hintsUsed: getHintsUsed(events, e.index),
+        timeSpent: e.elapsed,
+        errorType: skipped ? 'skipped' : e.errorType,
+        score: skipped ? 0 : e.score,
+        attempt: attempts[e.word]
+      };
+    });
+};
+
+/**
+ * Statistics of a session counted per word rather than per attempt:
+ * firstAttempt uses each word's first answer, final uses its last one
+ * (after retries)
+ * @param {Array} results - Results from getSessionResults
+ * @returns {Object} - {firstAttempt, final, attempts} where firstAttempt and
+ *   final are calculateStats objects and attempts is the number of answers
+ */
+export const getSessionStats = (results) => {
+  const first = {};
+  const final = {};
+  results.forEach(r => {
+    if (!first[r.word]) first[r.word] = r;
+    final[r.word] = r;
+  });
+  return {
+    firstAttempt: calculateStats(Object.values(first)),
+    final: calculateStats(Object.values(final)),
+    attempts: results.length
+  };
+};
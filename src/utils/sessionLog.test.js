@@ -0,0 +1,130 @@
+import {
+  SESSION_EVENTS,
+  createSessionState,
+  serializeSessionState,
+  sessionReducer,
+  getSessionResults,
+  getSessionStats
+} from './sessionLog';
+import { REQUEUE_POLICIES } from '../hooks/useSession';
+
+const WORDS = [{ word: 'apple' }, { word: 'banana' }];
+
+/**
+ * Run a list of actions through the reducer
+ * @param {Array} actions - Reducer actions
+ * @param {Object} config - createSessionState config besides the words
+ * @returns {Object} - Final state
+ */
+const play = (actions, config = {}) => actions.reduce(
+  sessionReducer,
+  createSessionState({ words: WORDS, requeue: REQUEUE_POLICIES.wrong, ...config })
+);
+
+const right = (word, elapsed = 3) => ({ type: 'answer', answer: { correct: true, userAnswer: word }, elapsed });
+const wrong = (userAnswer, elapsed = 3) => ({ type: 'answer', answer: { correct: false, userAnswer }, elapsed });
+const next = { type: 'next' };
+
+describe('getSessionResults', () => {
+  it('includes the answer to the last word once the session has finished', () => {
+    const state = play([right('apple'), next, right('banana', 7), next]);
+
+    expect(state.finished).toBe(true);
+    const results = getSessionResults(state.events);
+    expect(results).toHaveLength(2);
+    expect(results[1]).toMatchObject({ word: 'banana', correct: true, timeSpent: 7, attempt: 1 });
+  });
+
+  it('includes a skip of the last word', () => {
+    const state = play([right('apple'), next, { type: 'skip', userAnswer: 'ban', elapsed: 4 }], {
+      requeue: REQUEUE_POLICIES.none
+    });
+
+    expect(state.finished).toBe(true);
+    expect(getSessionResults(state.events)[1]).toMatchObject({
+      word: 'banana',
+      correct: false,
+      userAnswer: 'ban',
+      errorType: 'skipped',
+      score: 0
+    });
+  });
+
+  it('keeps hints and timeouts with the question they belong to', () => {
+    const state = play([{ type: 'hint' }, { type: 'timeout' }, right('apple'), next, right('banana'), next]);
+
+    const [apple, banana] = getSessionResults(state.events);
+    expect(apple).toMatchObject({ hintsUsed: 1, timeout: true });
+    expect(banana).toMatchObject({ hintsUsed: 0, timeout: false });
+  });
+
+  it('numbers the attempts of a re-queued word', () => {
+    const state = play([wrong('aple'), next, right('banana'), next, right('apple'), next]);
+
+    expect(state.events.filter(e => e.type === SESSION_EVENTS.RETRY)).toHaveLength(1);
+    expect(getSessionResults(state.events).map(r => [r.word, r.attempt])).toEqual([
+      ['apple', 1],
+      ['banana', 1],
+      ['apple', 2]
+    ]);
+  });
+
+  it('records nothing more once the session has finished', () => {
+    const state = play([right('apple'), next, right('banana'), next, right('banana'), { type: 'skip' }]);
+
+    expect(getSessionResults(state.events)).toHaveLength(2);
+  });
+
+  it('marks the unanswered questions when the exam time runs out', () => {
+    const state = play([right('apple'), { type: 'examEnd' }], { exam: { minutes: 10 } });
+
+    expect(state.finished).toBe(true);
+    expect(getSessionResults(state.events)[1]).toMatchObject({
+      word: 'banana',
+      userAnswer: '(unanswered)',
+      timeout: true,
+      errorType: 'skipped'
+    });
+  });
+});
+
+describe('getSessionStats', () => {
+  const retried = getSessionResults(play([wrong('aple'), next, right('banana'), next, right('apple'), next]).events);
+
+  it('counts a retried word once in firstAttempt, with its first answer', () => {
+    const { firstAttempt } = getSessionStats(retried);
+
+    expect(firstAttempt.total).toBe(2);
+    expect(firstAttempt.correct).toBe(1);
+  });
+
+  it('uses the last answer of each word for final', () => {
+    const { final, attempts } = getSessionStats(retried);
+
+    expect(final.total).toBe(2);
+    expect(final.correct).toBe(2);
+    expect(attempts).toBe(3);
+  });
+
+  it('uses the last answer for final even when the retry is wrong too', () => {
+    const results = getSessionResults(
+      play([right('apple'), next, wrong('banan'), next, wrong('bananna'), next]).events
+    );
+
+    const { firstAttempt, final } = getSessionStats(results);
+    expect(firstAttempt.correct).toBe(1);
+    expect(final.correct).toBe(1);
+    expect(results[results.length - 1]).toMatchObject({ word: 'banana', userAnswer: 'bananna', attempt: 2 });
+  });
+});
+
+describe('session state', () => {
+  it('resumes from the serialized state', () => {
+    const saved = serializeSessionState(play([wrong('aple'), next]));
+    const state = createSessionState({ words: WORDS, requeue: REQUEUE_POLICIES.wrong, saved });
+
+    expect(state.currentIndex).toBe(1);
+    expect(state.queue.map(w => w.word)).toEqual(['apple', 'banana', 'apple']);
+    expect(state.finished).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Speech recognition adapter
+ * Wraps the browser's Web Speech recognition API so the speaking mode only
+ * deals with plain promises. Tests and other environments can replace the
+ * recogniser with setRecognitionFactory.
+ */
+
+// 最长录音时间，超时后按没有听到处理
+const LISTEN_TIMEOUT_MS = 8000;
+
+const browserFactory = () => {
+  const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  return Recognition ? new Recognition() : null;
+};
+
+let createRecognition = browserFactory;
+
+/**
+ * Replace the recogniser, e.g. with a stub in tests
+ * @param {Function|null} factory - Returns an object with the SpeechRecognition
+ *   interface (lang, maxAlternatives, onresult, onerror, onend, start, abort),
+ *   or null when unsupported. Pass null to restore the browser recogniser.
+ */
+export const setRecognitionFactory = (factory) => {
+  createRecognition = factory || browserFactory;
+};
+
+/**
+ * Check if speech recognition is available
+ * @returns {boolean} - True if a recogniser can be created
+ */
+export const isRecognitionSupported = () => {
+  if (createRecognition !== browserFactory) return createRecognition() !== null;
+  return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+};
+
+/**
+ * Listen for one utterance
+ * @param {Object} options - {lang, maxAlternatives, timeoutMs}
+ * @returns {Object} - {result, abort}; result resolves with the recognised
+ *   alternatives [{transcript, confidence}] (empty when nothing was heard) and
+ *   rejects with an Error whose code is the recogniser's error (e.g. 'not-allowed')
+ */
+export const listenOnce = ({ lang = 'en-US', maxAlternatives = 5, timeoutMs = LISTEN_TIMEOUT_MS } = {}) => {
+  const recognition = createRecognition();
+  if (!recognition) {
+    const error = new Error('Speech recognition is not supported');
+    error.code = 'not-supported';
+    return { result: Promise.reject(error), abort: () => {} };
+  }
+
+  let timeoutId = null;
+  const result = new Promise((resolve, reject) => {
+    let alternatives = [];
+
+    recognition.lang = lang;
+    recognition.maxAlternatives = maxAlternatives;
+    recognition.interimResults = false;
+    recognition.continuous = false;
+
+    recognition.onresult = (event) => {
+      const first = event.results[0];
+      alternatives = Array.from(first, alt => ({ transcript: alt.transcript.trim(), confidence: alt.confidence }));
+    };
+    recognition.onerror = (event) => {
+      // 没说话不算错误，按空结果返回
+      if (event.error === 'no-speech' || event.error === 'aborted') return;
+      const error = new Error(`Speech recognition failed: ${event.error}`);
+      error.code = event.error;
+      reject(error);
+    };
+    recognition.onend = () => {
+      clearTimeout(timeoutId);
+      resolve(alternatives);
+    };
+
+    try {
+      recognition.start();
+      timeoutId = setTimeout(() => recognition.abort(), timeoutMs);
+    } catch (error) {
+      error.code = error.code || 'start-failed';
+      reject(error);
+    }
+  });
+
+  return {
+    result,
+    abort: () => {
+      clearTimeout(timeoutId);
+      recognition.abort();
+    }
+  };
+};
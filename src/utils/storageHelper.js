@@ -2,7 +2,42 @@
  * LocalStorage helper for managing learning history
  */
 
-const HISTORY_KEY = 'vocabulary_learning_history';
+import { profileKey } from './profiles';
+import { DEFAULT_AUDIO_ORDER } from './audioSources';
+
+export const HISTORY_KEY = 'vocabulary_learning_history';
+export const WORD_SCOPE_KEY = 'vocabulary_word_scope';
+export const PREFERENCES_KEY = 'vocabulary_preferences';
+export const ACTIVE_SESSION_KEY = 'vocabulary_active_session';
+
+export const DEFAULT_WORD_SCOPE = {
+  units: [],
+  pageFrom: '',
+  pageTo: '',
+  difficulties: [],
+  mixEnabled: false,
+  mix: { basic: 80, extension: 20, learned: 0 }
+};
+
+export const DEFAULT_PREFERENCES = {
+  partialCredit: false,
+  // 启用的发音来源，按尝试顺序排列
+  audioSources: DEFAULT_AUDIO_ORDER,
+  // 'hybrid': 音频优先，失败时浏览器朗读；'dictionary': 只用音频；'webspeech': 只用浏览器朗读
+  audioMode: 'hybrid',
+  accent: 'us',
+  speechRate: 1,
+  // 听写时自动播放的次数与间隔（秒）
+  repeatCount: 1,
+  repeatGap: 2,
+  // 浏览器朗读的声音，空字符串表示自动选择
+  voiceURI: '',
+  // 单题限时（秒，0 为不限时）与超时后的处理：'warn'、'submit'、'skip'
+  timeLimit: 30,
+  timeoutAction: 'warn',
+  // 考试模式的总时长（分钟）
+  examMinutes: 10
+};
 
 /**
  * Get learning history from localStorage
@@ -10,8 +45,8 @@ const HISTORY_KEY = 'vocabulary_learning_history';
  */
 export const getHistory = () => {
   try {
-    const history = localStorage.getItem(HISTORY_KEY);
-    return history ? JSON.parse(history) : [];
+    const history = JSON.parse(localStorage.getItem(profileKey(HISTORY_KEY)) || '[]');
+    return Array.isArray(history) ? history : [];
   } catch (error) {
     console.error('Error reading history:', error);
     return [];
@@ -21,6 +56,7 @@ export const getHistory = () => {
 /**
  * Save a learning session to history
  * @param {Object} session - Session data
+ * @returns {number|null} - Id of the saved session
  */
 export const saveToHistory = (session) => {
   try {
@@ -35,9 +71,11 @@ export const saveToHistory = (session) => {
     history.unshift(newSession);
 
     // 保存所有历史记录（不再限制数量）
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    localStorage.setItem(profileKey(HISTORY_KEY), JSON.stringify(history));
+    return newSession.id;
   } catch (error) {
     console.error('Error saving to history:', error);
+    return null;
   }
 };
 
@@ -46,12 +84,127 @@ export const saveToHistory = (session) => {
  */
 export const clearHistory = () => {
   try {
-    localStorage.removeItem(HISTORY_KEY);
+    localStorage.removeItem(profileKey(HISTORY_KEY));
   } catch (error) {
     console.error('Error clearing history:', error);
   }
 };
 
+/**
+ * Get the last unit/page selection of a library
+ * @param {string} libraryId - Library id
+ * @returns {Object} - {units, pageFrom, pageTo, difficulties, mixEnabled, mix}
+ */
+export const getWordScope = (libraryId) => {
+  try {
+    const scopes = JSON.parse(localStorage.getItem(profileKey(WORD_SCOPE_KEY)) || '{}');
+    return { ...DEFAULT_WORD_SCOPE, ...scopes[libraryId] };
+  } catch (error) {
+    console.error('Error reading word scope:', error);
+    return DEFAULT_WORD_SCOPE;
+  }
+};
+
+/**
+ * Remember the unit/page selection of a library
+ * @param {string} libraryId - Library id
+ * @param {Object} scope - {units, pageFrom, pageTo, difficulties, mixEnabled, mix}
+ */
+export const saveWordScope = (libraryId, scope) => {
+  try {
+    const scopes = JSON.parse(localStorage.getItem(profileKey(WORD_SCOPE_KEY)) || '{}');
+    scopes[libraryId] = scope;
+    localStorage.setItem(profileKey(WORD_SCOPE_KEY), JSON.stringify(scopes));
+  } catch (error) {
+    console.error('Error saving word scope:', error);
+  }
+};
+
+/**
+ * Get the learner's preferences
+ * @returns {Object} - Preferences merged over DEFAULT_PREFERENCES
+ */
+export const getPreferences = () => {
+  try {
+    const preferences = JSON.parse(localStorage.getItem(profileKey(PREFERENCES_KEY)) || '{}');
+    return { ...DEFAULT_PREFERENCES, ...preferences };
+  } catch (error) {
+    console.error('Error reading preferences:', error);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+/**
+ * Save the learner's preferences
+ * @param {Object} preferences - Preferences object
+ */
+export const savePreferences = (preferences) => {
+  try {
+    localStorage.setItem(profileKey(PREFERENCES_KEY), JSON.stringify(preferences));
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+  }
+};
+
+/**
+ * Get the unfinished practice session, if any
+ * @returns {Object|null} - {mode, modeName, library, words, exam, startedAt, state, examElapsed}
+ */
+export const getActiveSession = () => {
+  try {
+    const session = localStorage.getItem(profileKey(ACTIVE_SESSION_KEY));
+    return session ? JSON.parse(session) : null;
+  } catch (error) {
+    console.error('Error reading active session:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember a practice session that has just started (replaces any older one)
+ * @param {Object} session - {mode, modeName, library, words, exam}
+ */
+export const saveActiveSession = (session) => {
+  try {
+    localStorage.setItem(profileKey(ACTIVE_SESSION_KEY), JSON.stringify({
+      ...session,
+      startedAt: new Date().toISOString(),
+      state: null
+    }));
+  } catch (error) {
+    console.error('Error saving active session:', error);
+  }
+};
+
+/**
+ * Save the progress of the active session; does nothing if there is none
+ * @param {Object} changes - e.g. {state, examElapsed}
+ */
+export const updateActiveSession = (changes) => {
+  const session = getActiveSession();
+  if (!session) return;
+  try {
+    localStorage.setItem(profileKey(ACTIVE_SESSION_KEY), JSON.stringify({
+      ...session,
+      ...changes,
+      savedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Error saving active session:', error);
+  }
+};
+
+/**
+ * Forget the active session
+ */
+export const clearActiveSession = () => {
+  try {
+    localStorage.removeItem(profileKey(ACTIVE_SESSION_KEY));
+  } catch (error) {
+    console.error('Error clearing active session:', error);
+  }
+};
+
 /**
  * Format date for display
  * @param {string} isoString - ISO date string
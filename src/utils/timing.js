@@ -0,0 +1,26 @@
+/**
+ * Question time limits and timed exams
+ */
+
+// 单题限时可选项（秒），0 表示不限时
+export const TIME_LIMIT_OPTIONS = [0, 15, 30, 45, 60, 90];
+
+// 考试总时长可选项（分钟）
+export const EXAM_MINUTE_OPTIONS = [5, 10, 15, 20, 30];
+
+// 单题超时后的处理方式
+export const TIMEOUT_ACTIONS = {
+  warn: '只提醒',
+  submit: '自动提交已写的答案',
+  skip: '自动跳过'
+};
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} - e.g. '9:05'
+ */
+export const formatClock = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
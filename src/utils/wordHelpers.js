@@ -2,14 +2,79 @@
  * Utility functions for word processing and game logic
  */
 
+// 词汇分级（对应词库中的 difficulty 字段）
+export const DIFFICULTY_LEVELS = {
+  basic: '基础',
+  extension: '拓展',
+  learned: '已学'
+};
+
+// 词性（对应词库中可选的 partOfSpeech 字段）
+export const PARTS_OF_SPEECH = {
+  noun: '名词',
+  verb: '动词',
+  adj: '形容词',
+  adv: '副词',
+  phrase: '短语',
+  other: '其他'
+};
+
+/**
+ * Normalise an answer for comparison: case, repeated whitespace,
+ * hyphens (ice-cream = ice cream) and typographic apostrophes
+ * @param {string} text - Answer or word
+ * @returns {string} - Normalised text
+ */
+export const normalizeAnswer = (text) => text
+  .toLowerCase()
+  .replace(/[\u2018\u2019\u02bc`]/g, "'")
+  .replace(/[-\u2010-\u2013]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Get every accepted spelling of a word
+ * @param {Object} wordObj - Word object ({word, alternatives})
+ * @returns {Array} - The word followed by its alternatives
+ */
+export const getAcceptedSpellings = (wordObj) => [
+  wordObj.word,
+  ...(Array.isArray(wordObj.alternatives) ? wordObj.alternatives : [])
+];
+
 /**
- * Check if the user's answer matches the correct word
+ * Check if the user's answer matches the correct word or one of its alternatives
  * @param {string} userAnswer - User's input
  * @param {string} correctWord - The correct word
+ * @param {Array} alternatives - Other accepted spellings (e.g. British/American)
  * @returns {boolean} - True if match
  */
-export const checkAnswer = (userAnswer, correctWord) => {
-  return userAnswer.trim().toLowerCase() === correctWord.trim().toLowerCase();
+export const checkAnswer = (userAnswer, correctWord, alternatives = []) => {
+  const answer = normalizeAnswer(userAnswer);
+  return [correctWord, ...alternatives].some(spelling => normalizeAnswer(spelling) === answer);
+};
+
+/**
+ * Levenshtein edit distance between two strings (case-insensitive)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Minimum number of single-letter edits
+ */
+export const editDistance = (a, b) => {
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[t.length];
 };
 
 /**
@@ -94,16 +159,176 @@ export const generateWrongOptions = (allWords, correctWord, count = 3) => {
 };
 
 /**
- * Create a sentence with a blank
+ * Double the final consonant of one-syllable words ending consonant-vowel-consonant
+ * (stop -> stopp). Longer words stressed on the last syllable (prefer -> preferred)
+ * can't be told apart from open -> opened, so they list these forms in the data.
+ * @param {string} word - Lowercase word
+ * @returns {string|null} - Stem with the consonant doubled, or null
+ */
+const doubledStem = (word) => (
+  /^[^aeiouy]*[aeiou][b-df-hj-np-tvz]$/.test(word) ? word + word[word.length - 1] : null
+);
+
+// 规则变形：复数 / 第三人称单数、过去式、-ing、比较级
+const INFLECTIONS = {
+  plural: (w) => {
+    if (/(s|x|z|ch|sh)$/.test(w)) return [`${w}es`];
+    if (/[^aeiou]y$/.test(w)) return [`${w.slice(0, -1)}ies`];
+    if (/[^aeiou]o$/.test(w)) return [`${w}es`, `${w}s`];
+    if (/fe$/.test(w)) return [`${w.slice(0, -2)}ves`, `${w}s`];
+    if (/[^f]f$/.test(w)) return [`${w.slice(0, -1)}ves`, `${w}s`];
+    return [`${w}s`];
+  },
+  past: (w) => {
+    if (/e$/.test(w)) return [`${w}d`];
+    if (/[^aeiou]y$/.test(w)) return [`${w.slice(0, -1)}ied`];
+    const doubled = doubledStem(w);
+    return doubled ? [`${w}ed`, `${doubled}ed`] : [`${w}ed`];
+  },
+  ing: (w) => {
+    if (/ie$/.test(w)) return [`${w.slice(0, -2)}ying`];
+    if (/[^eoy]e$/.test(w)) return [`${w.slice(0, -1)}ing`];
+    const doubled = doubledStem(w);
+    return doubled ? [`${w}ing`, `${doubled}ing`] : [`${w}ing`];
+  },
+  comparative: (w) => {
+    if (/e$/.test(w)) return [`${w}r`, `${w}st`];
+    if (/[^aeiou]y$/.test(w)) return [`${w.slice(0, -1)}ier`, `${w.slice(0, -1)}iest`];
+    const doubled = doubledStem(w);
+    return doubled
+      ? [`${w}er`, `${w}est`, `${doubled}er`, `${doubled}est`]
+      : [`${w}er`, `${w}est`];
+  }
+};
+
+// 各词性使用的变形，未标注词性时按名词和动词处理
+const POS_INFLECTIONS = {
+  noun: ['plural'],
+  verb: ['plural', 'past', 'ing'],
+  adj: ['comparative'],
+  adv: [],
+  phrase: [],
+  other: []
+};
+const DEFAULT_INFLECTIONS = ['plural', 'past', 'ing'];
+
+/**
+ * Get every form of a word: the word itself, its alternatives, listed forms and regular inflections.
+ * Irregular forms (built, children) must be listed in the word's forms field.
+ * @param {Object} wordObj - Word object ({word, alternatives, partOfSpeech, forms})
+ * @returns {Array} - Unique lowercase forms, the word itself first
+ */
+export const getWordForms = (wordObj) => {
+  const spellings = getAcceptedSpellings(wordObj).map(s => s.trim().toLowerCase());
+  const listed = (Array.isArray(wordObj.forms) ? wordObj.forms : []).map(f => f.trim().toLowerCase());
+  const forms = [...spellings, ...listed];
+  const kinds = POS_INFLECTIONS[wordObj.partOfSpeech] || DEFAULT_INFLECTIONS;
+
+  spellings.forEach(word => {
+    const parts = word.split(/\s+/);
+    if (parts.length === 1) {
+      kinds.forEach(kind => forms.push(...INFLECTIONS[kind](word)));
+    } else {
+      // 词组：动词短语变第一个词（looked after），名词短语变最后一个词（ice creams）
+      const rest = parts.slice(1).join(' ');
+      const head = parts.slice(0, -1).join(' ');
+      ['plural', 'past', 'ing'].forEach(kind => {
+        INFLECTIONS[kind](parts[0]).forEach(f => forms.push(`${f} ${rest}`));
+      });
+      INFLECTIONS.plural(parts[parts.length - 1]).forEach(f => forms.push(`${head} ${f}`));
+    }
+  });
+
+  return [...new Set(forms.filter(Boolean))];
+};
+
+/**
+ * Build a regex matching any of the forms as a whole word, longest first
+ * @param {Array} forms - Word forms
+ * @returns {RegExp} - Global, case-insensitive regex
+ */
+const formsRegex = (forms) => {
+  const alternatives = [...forms]
+    .sort((a, b) => b.length - a.length)
+    .map(f => f.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi');
+};
+
+/**
+ * Create a sentence with a blank, matching the word or any of its forms
  * @param {string} sentence - The original sentence
- * @param {string} word - The word to hide
- * @returns {string} - Sentence with the word replaced by blank
+ * @param {Object} wordObj - Word object ({word, partOfSpeech, forms})
+ * @returns {Object} - {sentence, form} where form is the text that was hidden, or null
+ */
+export const createBlankSentence = (sentence, wordObj) => {
+  const regex = formsRegex(getWordForms(wordObj));
+  const match = sentence.match(regex);
+  return {
+    sentence: sentence.replace(regex, '______'),
+    form: match ? match[0] : null
+  };
+};
+
+/**
+ * Find which form of the word a sentence uses
+ * @param {string} sentence - The example sentence
+ * @param {Object} wordObj - Word object ({word, partOfSpeech, forms})
+ * @returns {string|null} - The matched text, or null if no form appears
  */
-export const createBlankSentence = (sentence, word) => {
-  const regex = new RegExp(`\\b${word}\\b`, 'gi');
-  return sentence.replace(regex, '______');
+export const findWordForm = (sentence, wordObj) => {
+  if (!sentence || !wordObj || !wordObj.word) return null;
+  return createBlankSentence(sentence, wordObj).form;
 };
 
+/**
+ * Spell a form of the word in each accepted spelling (colours -> colours, colors),
+ * by carrying the form's ending over to the other spellings
+ * @param {string} form - Form of the word found in a sentence
+ * @param {Object} wordObj - Word object ({word, alternatives})
+ * @returns {Object} - {word: form, alternatives} ready for gradeAnswer
+ */
+export const getFormSpellings = (form, wordObj) => {
+  const lower = form.toLowerCase();
+  const commonPrefix = (spelling) => {
+    let i = 0;
+    while (i < spelling.length && spelling[i].toLowerCase() === lower[i]) i++;
+    return i;
+  };
+  const spellings = getAcceptedSpellings(wordObj);
+  // 句中的形式由最相近的写法变来
+  const source = spellings.reduce((best, s) => (commonPrefix(s) > commonPrefix(best) ? s : best));
+  const prefixLength = commonPrefix(source);
+  const removed = source.slice(prefixLength).toLowerCase();
+  const ending = form.slice(prefixLength);
+
+  const alternatives = spellings
+    .filter(s => s !== source && s.toLowerCase().endsWith(removed))
+    .map(s => s.slice(0, s.length - removed.length) + ending)
+    .filter(s => s.toLowerCase() !== lower);
+  return { word: form, alternatives: [...new Set(alternatives)] };
+};
+
+/**
+ * Check whether a sentence contains the word, i.e. createBlankSentence can blank it
+ * @param {string} sentence - The example sentence
+ * @param {Object} wordObj - Word object ({word, partOfSpeech, forms})
+ * @returns {boolean} - True if any form of the word appears in the sentence
+ */
+export const sentenceContainsWord = (sentence, wordObj) => findWordForm(sentence, wordObj) !== null;
+
+/**
+ * List the words whose example sentence contains no form of the word
+ * @param {Array} words - Array of word objects
+ * @returns {Array} - Array of {word, exampleSentence, reason}
+ */
+export const findSentenceIssues = (words) => words
+  .filter(w => !sentenceContainsWord(w.exampleSentence, w))
+  .map(w => ({
+    word: w.word,
+    exampleSentence: w.exampleSentence || '',
+    reason: w.exampleSentence ? '例句中找不到该单词的任何形式' : '缺少例句'
+  }));
+
 /**
  * Select random words from a list
  * @param {Array} words - Array of word objects
@@ -114,6 +339,37 @@ export const selectRandomWords = (words, count) => {
   return shuffleArray(words).slice(0, count);
 };
 
+/**
+ * Select random words following a difficulty mix ratio.
+ * Tiers without enough words are topped up from the rest of the list.
+ * @param {Array} words - Array of word objects
+ * @param {number} count - Number of words to select
+ * @param {Object} mix - Weight per difficulty, e.g. {basic: 80, extension: 20}
+ * @returns {Array} - Randomly selected words
+ */
+export const selectWordsByMix = (words, count, mix) => {
+  const tiers = Object.keys(mix).filter(tier => mix[tier] > 0);
+  const totalWeight = tiers.reduce((sum, tier) => sum + mix[tier], 0);
+  if (totalWeight === 0) {
+    return selectRandomWords(words, count);
+  }
+
+  let selected = [];
+  tiers.forEach(tier => {
+    const quota = Math.round((count * mix[tier]) / totalWeight);
+    const tierWords = words.filter(w => w.difficulty === tier);
+    selected = selected.concat(selectRandomWords(tierWords, quota));
+  });
+  selected = selected.slice(0, count);
+
+  if (selected.length < count) {
+    const rest = words.filter(w => !selected.includes(w));
+    selected = selected.concat(selectRandomWords(rest, count - selected.length));
+  }
+
+  return shuffleArray(selected);
+};
+
 /**
  * Filter words by unit
  * @param {Array} words - Array of word objects
@@ -124,9 +380,79 @@ export const filterWordsByUnit = (words, unit) => {
   return words.filter(w => w.unit === unit);
 };
 
+/**
+ * Count words per unit
+ * @param {Array} words - Array of word objects
+ * @returns {Array} - Array of {unit, count} sorted by unit
+ */
+export const getUnitCounts = (words) => {
+  const counts = {};
+  words.forEach(w => {
+    counts[w.unit] = (counts[w.unit] || 0) + 1;
+  });
+  return Object.keys(counts)
+    .map(unit => ({ unit: Number(unit), count: counts[unit] }))
+    .sort((a, b) => a.unit - b.unit);
+};
+
+/**
+ * Filter words by selected units, difficulty tiers and an optional page range
+ * @param {Array} words - Array of word objects
+ * @param {Object} scope - {units: number[], difficulties: string[], pageFrom: string|number, pageTo: string|number}
+ * @returns {Array} - Filtered words (all words when nothing is selected)
+ */
+export const filterWordsByScope = (words, scope) => {
+  if (!scope) return words;
+
+  const units = scope.units || [];
+  const difficulties = scope.difficulties || [];
+  const pageFrom = parseInt(scope.pageFrom, 10);
+  const pageTo = parseInt(scope.pageTo, 10);
+
+  const inUnits = units.length > 0
+    ? units.reduce((acc, unit) => acc.concat(filterWordsByUnit(words, unit)), [])
+    : words;
+
+  return inUnits.filter(w =>
+    (difficulties.length === 0 || difficulties.includes(w.difficulty)) &&
+    (isNaN(pageFrom) || w.page >= pageFrom) &&
+    (isNaN(pageTo) || w.page <= pageTo)
+  );
+};
+
+/**
+ * Break results down by difficulty tier
+ * @param {Array} results - Array of {word, correct} objects
+ * @param {Array} words - Word objects the results refer to
+ * @returns {Array} - Array of {difficulty, total, correct, accuracy}
+ */
+export const calculateDifficultyStats = (results, words) => {
+  const difficultyOf = {};
+  words.forEach(w => {
+    difficultyOf[w.word] = w.difficulty;
+  });
+
+  const tiers = {};
+  results.forEach(r => {
+    const difficulty = difficultyOf[r.word] || 'basic';
+    if (!tiers[difficulty]) {
+      tiers[difficulty] = { difficulty, total: 0, correct: 0 };
+    }
+    tiers[difficulty].total += 1;
+    if (r.correct) tiers[difficulty].correct += 1;
+  });
+
+  return Object.keys(DIFFICULTY_LEVELS)
+    .filter(difficulty => tiers[difficulty])
+    .map(difficulty => ({
+      ...tiers[difficulty],
+      accuracy: Math.round((tiers[difficulty].correct / tiers[difficulty].total) * 100)
+    }));
+};
+
 /**
  * Calculate learning statistics
- * @param {Array} results - Array of {word, correct, hintsUsed, timeout} objects
+ * @param {Array} results - Array of {word, correct, hintsUsed, timeout, score} objects
  * @returns {Object} - Statistics object
  */
 export const calculateStats = (results) => {
@@ -153,6 +479,13 @@ export const calculateStats = (results) => {
   // 准确率只计算没有使用提示的题目
   const accuracy = withoutHints > 0 ? Math.round((correctWithoutHints / withoutHints) * 100) : 0;
 
+  // 拼写接近而获得部分分的题目数量
+  const partialCount = results.filter(r => r.score > 0 && r.score < 1).length;
+
+  // 得分率：答对得 1 分，拼写接近可得部分分
+  const totalScore = results.reduce((sum, r) => sum + (r.score !== undefined ? r.score : (r.correct ? 1 : 0)), 0);
+  const scoreRate = total > 0 ? Math.round((totalScore / total) * 100) : 0;
+
   return {
     total,
     correct: allCorrect,
@@ -162,6 +495,8 @@ export const calculateStats = (results) => {
     withoutHints,
     correctWithoutHints,
     totalHintsUsed,
-    timeoutCount
+    timeoutCount,
+    partialCount,
+    scoreRate
   };
 };
@@ -0,0 +1,49 @@
+import { getWordForms, createBlankSentence, getFormSpellings } from './wordHelpers';
+import k8Words from '../data/k8-s1.json';
+
+describe('getWordForms', () => {
+  it('doubles the final consonant of one-syllable words only', () => {
+    expect(getWordForms({ word: 'stop', partOfSpeech: 'verb' })).toContain('stopped');
+    expect(getWordForms({ word: 'open', partOfSpeech: 'verb' })).not.toContain('openned');
+    expect(getWordForms({ word: 'visit', partOfSpeech: 'verb' })).not.toContain('visitting');
+  });
+
+  it('adds the forms listed in the data', () => {
+    const prefer = k8Words.find(w => w.word === 'prefer');
+    expect(getWordForms(prefer)).toEqual(expect.arrayContaining(['preferred', 'preferring', 'prefers']));
+  });
+
+  it('only inflects a word as its part of speech', () => {
+    expect(getWordForms({ word: 'quick', partOfSpeech: 'adj' })).not.toContain('quicked');
+    expect(getWordForms({ word: 'quick', partOfSpeech: 'adj' })).toContain('quicker');
+  });
+});
+
+describe('createBlankSentence', () => {
+  it('blanks an irregular form listed in the built-in library', () => {
+    const send = k8Words.find(w => w.word === 'send');
+    expect(createBlankSentence('She sent me a postcard.', send)).toEqual({
+      sentence: 'She ______ me a postcard.',
+      form: 'sent'
+    });
+  });
+
+  it('blanks every built-in example sentence', () => {
+    const unblanked = k8Words.filter(w => createBlankSentence(w.exampleSentence, w).form === null);
+    expect(unblanked.map(w => w.word)).toEqual([]);
+  });
+});
+
+describe('getFormSpellings', () => {
+  it('spells the form in the other accepted spellings', () => {
+    expect(getFormSpellings('centimetres', { word: 'centimetre', alternatives: ['centimeter'] })).toEqual({
+      word: 'centimetres',
+      alternatives: ['centimeters']
+    });
+    expect(getFormSpellings('realised', { word: 'realise', alternatives: ['realize'] }).alternatives).toEqual(['realized']);
+  });
+
+  it('has no alternatives for a word with one spelling', () => {
+    expect(getFormSpellings('apples', { word: 'apple' })).toEqual({ word: 'apples', alternatives: [] });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Parse custom word lists from CSV, TSV or JSON files
+ */
+
+import { DIFFICULTY_LEVELS, PARTS_OF_SPEECH } from './wordHelpers';
+
+// 与内置词库一致的字段
+export const WORD_FIELDS = [
+  'word', 'phonetic', 'meaning', 'unit', 'page', 'exampleSentence', 'difficulty',
+  'partOfSpeech', 'forms', 'alternatives'
+];
+
+const REQUIRED_FIELDS = ['word', 'meaning', 'unit'];
+
+/**
+ * Split delimited text into rows, honouring double-quoted cells
+ * @param {string} text - File content
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Array} - Array of {cells, line} where line is the file line the row starts on
+ *   (a quoted cell may span several lines)
+ */
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  return rows;
+};
+
+/**
+ * Parse an optional positive integer cell
+ * @param {*} value - Raw value
+ * @returns {number|null|undefined} - Number, null when empty, undefined when invalid
+ */
+const parseInteger = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  const number = /^\d+$/.test(text) ? parseInt(text, 10) : 0;
+  return number > 0 ? number : undefined;
+};
+
+/**
+ * Parse an optional list field (forms, alternatives), a list or a "built; building" cell
+ * @param {*} value - Raw value
+ * @returns {Array} - Array of non-empty strings
+ */
+export const parseList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[;|]/);
+  return list.map(f => String(f).trim()).filter(Boolean);
+};
+
+/**
+ * Validate one raw entry and convert it to the word schema
+ * @param {Object} raw - Entry keyed by field name
+ * @returns {Object} - {word} on success or {error} with a message
+ */
+export const normalizeWordEntry = (raw) => {
+  const value = (field) => (raw[field] === undefined || raw[field] === null ? '' : String(raw[field]).trim());
+
+  const missing = REQUIRED_FIELDS.filter(field => !value(field));
+  if (missing.length > 0) {
+    return { error: `缺少必填字段 ${missing.join(', ')}` };
+  }
+
+  const unit = parseInteger(raw.unit);
+  if (unit === undefined) {
+    return { error: `unit 必须是正整数: "${value('unit')}"` };
+  }
+
+  const page = parseInteger(raw.page);
+  if (page === undefined) {
+    return { error: `page 必须是正整数: "${value('page')}"` };
+  }
+
+  const difficulty = value('difficulty') || 'basic';
+  if (!DIFFICULTY_LEVELS[difficulty]) {
+    return { error: `difficulty 必须是 ${Object.keys(DIFFICULTY_LEVELS).join(' / ')}: "${difficulty}"` };
+  }
+
+  const partOfSpeech = value('partOfSpeech');
+  if (partOfSpeech && !PARTS_OF_SPEECH[partOfSpeech]) {
+    return { error: `partOfSpeech 必须是 ${Object.keys(PARTS_OF_SPEECH).join(' / ')}: "${partOfSpeech}"` };
+  }
+
+  const word = {
+    word: value('word'),
+    phonetic: value('phonetic'),
+    meaning: value('meaning'),
+    unit,
+    page,
+    exampleSentence: value('exampleSentence'),
+    difficulty
+  };
+  // 可选字段只在填写时保存，内置词库大多没有
+  const forms = parseList(raw.forms);
+  const alternatives = parseList(raw.alternatives);
+  if (partOfSpeech) word.partOfSpeech = partOfSpeech;
+  if (forms.length > 0) word.forms = forms;
+  if (alternatives.length > 0) word.alternatives = alternatives;
+
+  return { word };
+};
+
+/**
+ * Turn a parsed file into raw entries with their source row numbers
+ * @param {string} text - File content
+ * @param {string} fileName - Original file name, used to detect the format
+ * @returns {Object} - {entries: [{row, raw}], error}
+ */
+const readEntries = (text, fileName) => {
+  const lowerName = fileName.toLowerCase();
+
+  if (lowerName.endsWith('.json')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { entries: [], error: `JSON 解析失败: ${error.message}` };
+    }
+    const list = Array.isArray(data) ? data : data && data.words;
+    if (!Array.isArray(list)) {
+      return { entries: [], error: 'JSON 文件应为单词数组' };
+    }
+    return { entries: list.map((raw, index) => ({ row: index + 1, raw: raw || {} })) };
+  }
+
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const delimiter = lowerName.endsWith('.tsv') || (!lowerName.endsWith('.csv') && firstLine.includes('\t'))
+    ? '\t'
+    : ',';
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ''), delimiter);
+  if (rows.length === 0) {
+    return { entries: [], error: '文件为空' };
+  }
+
+  const headers = rows[0].cells.map(h => h.trim());
+  const fieldIndex = {};
+  WORD_FIELDS.forEach(field => {
+    const index = headers.findIndex(h => h.toLowerCase() === field.toLowerCase());
+    if (index !== -1) fieldIndex[field] = index;
+  });
+
+  const missing = REQUIRED_FIELDS.filter(field => fieldIndex[field] === undefined);
+  if (missing.length > 0) {
+    return { entries: [], error: `表头缺少列: ${missing.join(', ')}` };
+  }
+
+  const entries = [];
+  rows.slice(1).forEach(({ cells, line }) => {
+    if (cells.every(c => c.trim() === '')) return;
+    const raw = {};
+    Object.keys(fieldIndex).forEach(field => {
+      raw[field] = cells[fieldIndex[field]];
+    });
+    // 按文件里的行号报告，带换行的单元格占多行
+    entries.push({ row: line, raw });
+  });
+
+  return { entries };
+};
+
+/**
+ * Parse a word list file
+ * @param {string} text - File content
+ * @param {string} fileName - Original file name (.csv, .tsv, .txt or .json)
+ * @returns {Object} - {words, errors: [{row, message}], fileError}
+ */
+export const parseWordFile = (text, fileName) => {
+  const { entries, error } = readEntries(text, fileName);
+  if (error) {
+    return { words: [], errors: [], fileError: error };
+  }
+
+  const words = [];
+  const errors = [];
+  const seen = new Set();
+
+  entries.forEach(({ row, raw }) => {
+    const result = normalizeWordEntry(raw);
+    if (result.error) {
+      errors.push({ row, message: result.error });
+      return;
+    }
+    const key = result.word.word.toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ row, message: `重复的单词 "${result.word.word}"` });
+      return;
+    }
+    seen.add(key);
+    words.push(result.word);
+  });
+
+  return { words, errors, fileError: null };
+};
@@ -0,0 +1,28 @@
+import { parseWordFile } from './wordImport';
+
+describe('parseWordFile', () => {
+  it('reports a row without a unit instead of putting it in Unit 1', () => {
+    const csv = 'word,meaning,unit\napple,苹果,2\nbanana,香蕉,\n';
+    const { words, errors } = parseWordFile(csv, 'list.csv');
+
+    expect(words.map(w => [w.word, w.unit])).toEqual([['apple', 2]]);
+    expect(errors).toEqual([{ row: 3, message: '缺少必填字段 unit' }]);
+  });
+
+  it('rejects a file without a unit column', () => {
+    expect(parseWordFile('word,meaning\napple,苹果\n', 'list.csv').fileError).toBe('表头缺少列: unit');
+  });
+
+  it('numbers rows by file line when a quoted cell spans several lines', () => {
+    const csv = [
+      'word,meaning,unit,exampleSentence',
+      'apple,苹果,1,"I like apples.',
+      'They are sweet."',
+      'banana,香蕉,x,Bananas are yellow.'
+    ].join('\r\n');
+    const { words, errors } = parseWordFile(csv, 'list.csv');
+
+    expect(words[0].exampleSentence).toBe('I like apples.\r\nThey are sweet.');
+    expect(errors).toEqual([{ row: 4, message: 'unit 必须是正整数: "x"' }]);
+  });
+});
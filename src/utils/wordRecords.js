@@ -0,0 +1,177 @@
+/**
+ * Per-word learning records
+ * Every answered question is appended to the word's attempt log,
+ * aggregates are derived on read
+ */
+
+import { profileKey } from './profiles';
+
+export const RECORDS_KEY = 'vocabulary_word_records';
+
+// 每个单词最多保留的作答记录条数
+const MAX_ATTEMPTS_PER_WORD = 100;
+
+/**
+ * Read all records from localStorage
+ * @returns {Object} - { [libraryId]: { [word]: { attempts: [] } } }
+ */
+const getAllRecords = () => {
+  try {
+    const records = localStorage.getItem(profileKey(RECORDS_KEY));
+    return records ? JSON.parse(records) : {};
+  } catch (error) {
+    console.error('Error reading word records:', error);
+    return {};
+  }
+};
+
+/**
+ * Append the results of a session to the word records
+ * @param {string} libraryId - Library id
+ * @param {string} mode - Mode key (e.g. 'listen-spell')
+ * @param {Array} results - Array of {word, correct, userAnswer, hintsUsed, timeout, timeSpent, errorType, score} objects
+ * @param {number} sessionId - Id of the history entry the results belong to
+ */
+export const recordWordResults = (libraryId, mode, results, sessionId) => {
+  try {
+    const records = getAllRecords();
+    const library = { ...(records[libraryId] || {}) };
+    const timestamp = new Date().toISOString();
+
+    results.forEach(result => {
+      const record = library[result.word] || { attempts: [] };
+      const attempts = [...record.attempts, {
+        sessionId,
+        timestamp,
+        mode,
+        correct: result.correct,
+        userAnswer: result.userAnswer,
+        hintsUsed: result.hintsUsed || 0,
+        timeout: !!result.timeout,
+        timeSpent: result.timeSpent || 0,
+        errorType: result.errorType || null,
+        score: result.score !== undefined ? result.score : (result.correct ? 1 : 0)
+      }];
+      library[result.word] = { attempts: attempts.slice(-MAX_ATTEMPTS_PER_WORD) };
+    });
+
+    records[libraryId] = library;
+    localStorage.setItem(profileKey(RECORDS_KEY), JSON.stringify(records));
+  } catch (error) {
+    console.error('Error saving word records:', error);
+  }
+};
+
+/**
+ * Derive aggregate statistics from a word's attempt log
+ * @param {string} word - The word
+ * @param {Object} record - {attempts: []}
+ * @returns {Object} - Summary of the word
+ */
+export const summarizeWordRecord = (word, record) => {
+  const attempts = record ? record.attempts : [];
+  const byMode = {};
+  const wrongAnswers = [];
+  const errorTypes = {};
+  let correct = 0;
+  let hintsUsed = 0;
+  let timeouts = 0;
+  let totalTime = 0;
+
+  attempts.forEach(a => {
+    if (!byMode[a.mode]) {
+      byMode[a.mode] = { total: 0, correct: 0 };
+    }
+    byMode[a.mode].total += 1;
+
+    if (a.correct) {
+      correct += 1;
+      byMode[a.mode].correct += 1;
+    } else if (a.userAnswer && a.userAnswer !== '(skipped)') {
+      wrongAnswers.push(a.userAnswer);
+    }
+    if (a.errorType) {
+      errorTypes[a.errorType] = (errorTypes[a.errorType] || 0) + 1;
+    }
+    hintsUsed += a.hintsUsed;
+    if (a.timeout) timeouts += 1;
+    totalTime += a.timeSpent;
+  });
+
+  const total = attempts.length;
+  // 最常见的拼写错误类型（不含跳过）
+  const mainErrorType = Object.keys(errorTypes)
+    .filter(type => type !== 'skipped')
+    .sort((x, y) => errorTypes[y] - errorTypes[x])[0] || null;
+
+  return {
+    word,
+    total,
+    correct,
+    incorrect: total - correct,
+    accuracy: total > 0 ? Math.round((correct / total) * 100) : 0,
+    byMode,
+    wrongAnswers,
+    errorTypes,
+    mainErrorType,
+    hintsUsed,
+    timeouts,
+    averageTime: total > 0 ? Math.round(totalTime / total) : 0,
+    lastSeen: total > 0 ? attempts[total - 1].timestamp : null
+  };
+};
+
+/**
+ * Get the summary of one word
+ * @param {string} libraryId - Library id
+ * @param {string} word - The word
+ * @returns {Object} - Word summary
+ */
+export const getWordRecord = (libraryId, word) => {
+  const library = getAllRecords()[libraryId] || {};
+  return summarizeWordRecord(word, library[word]);
+};
+
+/**
+ * Get the summaries of every practised word in a library
+ * @param {string} libraryId - Library id
+ * @returns {Array} - Array of word summaries
+ */
+export const getWordRecords = (libraryId) => {
+  const library = getAllRecords()[libraryId] || {};
+  return Object.keys(library).map(word => summarizeWordRecord(word, library[word]));
+};
+
+/**
+ * Get every recorded attempt of a library as one flat list
+ * @param {string} libraryId - Library id
+ * @returns {Array} - Array of {word, timestamp, mode, correct, ...} objects
+ */
+export const getLibraryAttempts = (libraryId) => {
+  const library = getAllRecords()[libraryId] || {};
+  return Object.keys(library).flatMap(word => library[word].attempts.map(a => ({ word, ...a })));
+};
+
+/**
+ * Get the words missed most often
+ * @param {string} libraryId - Library id
+ * @param {number} limit - Maximum number of words
+ * @returns {Array} - Word summaries sorted by misses, then accuracy
+ */
+export const getMostMissedWords = (libraryId, limit = 10) => {
+  return getWordRecords(libraryId)
+    .filter(r => r.incorrect > 0)
+    .sort((a, b) => b.incorrect - a.incorrect || a.accuracy - b.accuracy)
+    .slice(0, limit);
+};
+
+/**
+ * Clear all word records
+ */
+export const clearWordRecords = () => {
+  try {
+    localStorage.removeItem(profileKey(RECORDS_KEY));
+  } catch (error) {
+    console.error('Error clearing word records:', error);
+  }
+};